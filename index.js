@@ -1,21 +1,42 @@
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const zlib = require('zlib');
 require('dotenv').config();
 
 const WeaviateSetup = require('./src/database/weaviate-setup');
+const Seeder = require('./src/database/seeder');
+const { buildWhereFilter } = require('./src/database/filters');
+const { ValidationError, SessionNotFoundError } = require('./src/database/errors');
 const DelegatingAgent = require('./src/agents/delegating-agent');
+const TenantSettings = require('./src/config/tenant-settings');
+const { createSessionStore } = require('./src/sessions');
+const { loadTools } = require('./src/tools');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
+
+// Uploaded files are kept in memory; they are chunked and stored right away
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 }
+});
 
 // Initialize components
 let weaviateSetup;
+let tenantSettings;
+let sessionStore;
+let toolRegistry;
 let delegatingAgent;
 
+// Earlier messages of a session given to the agent to resolve follow-ups
+const SESSION_HISTORY_MESSAGES = parseInt(process.env.SESSION_HISTORY_MESSAGES, 10) || 6;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
 // Initialize the system
 async function initializeSystem() {
     try {
@@ -25,10 +46,16 @@ async function initializeSystem() {
         weaviateSetup = new WeaviateSetup();
         await weaviateSetup.initialize();
         await weaviateSetup.createSchema();
-        await weaviateSetup.insertSampleData();
+        await seedFixtures();
         
         // Initialize Delegating Agent with the initialized WeaviateSetup
-        delegatingAgent = new DelegatingAgent(weaviateSetup);
+        tenantSettings = new TenantSettings();
+        toolRegistry = loadTools();
+        toolRegistry.assertKnown(tenantSettings.defaults.disabledTools);
+        console.log(`🧰 Tools: ${toolRegistry.names().join(', ')}`);
+        sessionStore = createSessionStore();
+        console.log(`💬 Conversation sessions kept in the ${sessionStore.name} store`);
+        delegatingAgent = new DelegatingAgent(weaviateSetup, { tenantSettings, tools: toolRegistry });
         
         console.log('✅ System initialized successfully!');
     } catch (error) {
@@ -37,45 +64,275 @@ async function initializeSystem() {
     }
 }
 
+// Loads the fixtures of the current environment (fixtures/<NODE_ENV>).
+// On by default except in production; SEED_ON_STARTUP=true|false overrides.
+async function seedFixtures() {
+    const enabled = process.env.SEED_ON_STARTUP !== undefined
+        ? process.env.SEED_ON_STARTUP === 'true'
+        : process.env.NODE_ENV !== 'production';
+    if (!enabled) {
+        console.log('🌱 Seeding on startup is disabled');
+        return;
+    }
+
+    try {
+        await new Seeder(weaviateSetup).seed();
+    } catch (error) {
+        console.error('❌ Error seeding fixtures:', error);
+    }
+}
+
 // API Routes
 
-// Health check endpoint
+// Health check endpoint; 503 while the vector store is unreachable or starting
 app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
+    const store = weaviateSetup ? weaviateSetup.storeStatus() : { name: null, available: false };
+    const ready = store.available && Boolean(delegatingAgent);
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'healthy' : 'unavailable',
         timestamp: new Date().toISOString(),
         services: {
-            weaviate: 'running',
-            delegatingAgent: 'ready'
+            weaviate: store.available ? 'running' : 'unavailable',
+            vectorStore: store.name,
+            vectorStoreAvailable: store.available,
+            vectorStoreFallback: Boolean(store.fallback),
+            delegatingAgent: delegatingAgent ? 'ready' : 'not ready'
         }
     });
 });
 
+// Requests fail fast with 503 while the vector store is unreachable; the
+// Weaviate store reconnects in the background
+app.use('/api', (req, res, next) => {
+    if (req.path === '/status' || (weaviateSetup && weaviateSetup.storeStatus().available)) {
+        return next();
+    }
+    res.status(503).json({
+        error: 'Vector store unavailable',
+        message: 'The vector store cannot be reached, try again later'
+    });
+});
+
+// Validates the body of a query request and loads the session history;
+// returns what the delegating agent needs
+async function prepareQuery(body) {
+    const { query, tenant = 'tenant1', filters, multiQuery, hyde, collections, sessionId } = body;
+    
+    if (typeof query !== 'string' || !query.trim()) {
+        throw new ValidationError('Query must be a non-empty string');
+    }
+    if ([multiQuery, hyde].some(flag => flag !== undefined && typeof flag !== 'boolean')) {
+        throw new ValidationError('multiQuery and hyde must be booleans');
+    }
+
+    await weaviateSetup.assertTenant(tenant);
+    // Reject bad filters and collections here, the agents turn any error into a generic answer
+    if (filters) {
+        buildWhereFilter(filters);
+    }
+    if (collections !== undefined) {
+        weaviateSetup.resolveCollections(collections);
+    }
+    if (sessionId !== undefined) {
+        assertSessionId(sessionId);
+    }
+
+    console.log(`📝 Processing query: "${query}" for tenant: ${tenant}${sessionId ? ` in session ${sessionId}` : ''}`);
+
+    // A session remembers the conversation, so follow-up questions can refer to earlier ones
+    const history = sessionId ? await sessionStore.getMessages(tenant, sessionId, SESSION_HISTORY_MESSAGES) : [];
+    return { query, tenant, sessionId, options: { filters, multiQuery, hyde, collections, history } };
+}
+
+async function recordExchange({ query, tenant, sessionId }, response) {
+    if (sessionId && !response.toolsUsed.includes('Error')) {
+        await sessionStore.appendMessages(tenant, sessionId, [
+            { role: 'user', content: query, metadata: { standaloneQuery: response.standaloneQuery } },
+            { role: 'assistant', content: response.answer, metadata: { fileIds: response.fileIds, toolsUsed: response.toolsUsed } }
+        ]);
+    }
+    console.log(`✅ Query processed successfully. Tools used: ${response.toolsUsed.join(', ')}`);
+}
+
 // Main query endpoint
 app.post('/api/query', async (req, res) => {
     try {
-        const { query, tenant = 'tenant1' } = req.body;
+        const request = await prepareQuery(req.body);
         
-        if (!query) {
-            return res.status(400).json({
-                error: 'Query is required'
+        const response = await delegatingAgent.processQuery(request.query, request.tenant, request.options);
+        await recordExchange(request, response);
+        
+        res.json({
+            success: true,
+            query: request.query,
+            sessionId: request.sessionId || null,
+            response: response
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error processing query:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Same request as /api/query, answered as Server-Sent Events: routing,
+// references, chart and answer tokens as they are ready, then "done" with
+// the payload /api/query would return. Invalid requests get a JSON error
+// before the stream starts.
+app.post('/api/query/stream', async (req, res) => {
+    let request;
+    try {
+        request = await prepareQuery(req.body);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
             });
         }
+        console.error('❌ Error processing query:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Keeps proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Stop working for a client that went away
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    try {
+        for await (const { event, data } of delegatingAgent.streamQuery(request.query, request.tenant, request.options)) {
+            if (closed) {
+                break;
+            }
+            if (event === 'done') {
+                await recordExchange(request, data);
+                send('done', {
+                    success: true,
+                    query: request.query,
+                    sessionId: request.sessionId || null,
+                    response: data
+                });
+            } else {
+                send(event, data);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error streaming query:', error);
+        send('error', {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+    res.end();
+});
 
-        console.log(`📝 Processing query: "${query}" for tenant: ${tenant}`);
+function assertSessionId(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+        throw new ValidationError('sessionId must be 1-64 letters, digits, "-" or "_"');
+    }
+}
+
+// Conversation sessions of a tenant, most recently used first
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const tenant = req.query.tenant || 'tenant1';
+        await weaviateSetup.assertTenantExists(tenant);
+
+        const sessions = await sessionStore.listSessions(tenant);
         
-        const response = await delegatingAgent.processQuery(query, tenant);
+        res.json({
+            success: true,
+            tenant: tenant,
+            sessions: sessions,
+            count: sessions.length
+        });
         
-        console.log(`✅ Query processed successfully. Tools used: ${response.toolsUsed.join(', ')}`);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error listing sessions:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// A session with its messages
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        const tenant = req.query.tenant || 'tenant1';
+        await weaviateSetup.assertTenantExists(tenant);
+
+        const session = await sessionStore.getSession(tenant, req.params.id);
+        if (!session) {
+            throw new SessionNotFoundError(req.params.id, tenant);
+        }
         
         res.json({
             success: true,
-            query: query,
-            response: response
+            session: session
         });
         
     } catch (error) {
-        console.error('❌ Error processing query:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error fetching session:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const tenant = req.query.tenant || (req.body && req.body.tenant) || 'tenant1';
+        await weaviateSetup.assertTenantExists(tenant);
+
+        if (!await sessionStore.deleteSession(tenant, req.params.id)) {
+            throw new SessionNotFoundError(req.params.id, tenant);
+        }
+        
+        res.json({
+            success: true,
+            deleted: req.params.id
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error deleting session:', error);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message
@@ -83,27 +340,107 @@ app.post('/api/query', async (req, res) => {
     }
 });
 
-// Search documents endpoint
+// Registered tools with their input schemas; with ?tenant= also whether
+// the tenant may use them
+app.get('/api/tools', async (req, res) => {
+    try {
+        const tenant = req.query.tenant;
+        let disabledTools = [];
+        if (tenant) {
+            await weaviateSetup.assertTenantExists(tenant);
+            disabledTools = tenantSettings.get(tenant).disabledTools;
+        }
+
+        const tools = toolRegistry.list().map(tool => ({
+            name: tool.name,
+            toolName: tool.tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema,
+            arguments: tool.arguments,
+            responseFields: tool.responseFields || [],
+            enabled: !disabledTools.includes(tool.name)
+        }));
+        
+        res.json({
+            success: true,
+            tenant: tenant || null,
+            tools: tools,
+            count: tools.length
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error listing tools:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Structure of the agent graph; ?format=mermaid returns the Mermaid flowchart as text
+app.get('/api/graph', (req, res) => {
+    const graph = delegatingAgent.describeGraph();
+
+    if (req.query.format === 'mermaid') {
+        return res.type('text/plain').send(graph.mermaid);
+    }
+    res.json({
+        success: true,
+        graph: graph
+    });
+});
+
+// Registered document collections and their properties
+app.get('/api/collections', (req, res) => {
+    const collections = weaviateSetup.collections.list().map(collection => ({
+        name: collection.name,
+        description: collection.description,
+        properties: collection.properties.map(property => ({ name: property.name, dataType: property.dataType[0] })),
+        textFields: collection.textFields,
+        titleField: collection.titleField,
+        contentField: collection.contentField
+    }));
+
+    res.json({
+        success: true,
+        collections: collections,
+        count: collections.length
+    });
+});
+
+// Search documents endpoint; collections is one name or an array (default QADocument)
 app.post('/api/search', async (req, res) => {
     try {
-        const { query, tenant = 'tenant1', limit = 5 } = req.body;
+        const { query, tenant = 'tenant1', limit = 5, mode = 'vector', alpha, filters, collections } = req.body;
         
-        if (!query) {
+        if (typeof query !== 'string' || !query.trim()) {
             return res.status(400).json({
-                error: 'Query is required'
+                error: 'Query must be a non-empty string'
             });
         }
 
-        const results = await weaviateSetup.searchDocuments(query, tenant, limit);
+        const results = await weaviateSetup.searchDocuments(query, tenant, limit, { mode, alpha, filters, collections });
         
         res.json({
             success: true,
             query: query,
+            mode: mode,
+            collections: weaviateSetup.resolveCollections(collections),
             results: results,
             count: results.length
         });
         
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
         console.error('❌ Error searching documents:', error);
         res.status(500).json({
             error: 'Internal server error',
@@ -124,15 +461,22 @@ app.post('/api/documents', async (req, res) => {
         }
 
         const documents = await weaviateSetup.fetchObjectsByFileIds(fileIds, tenant);
+        const foundIds = new Set(documents.map(doc => doc.fileId));
         
         res.json({
             success: true,
             fileIds: fileIds,
             documents: documents,
-            count: documents.length
+            count: documents.length,
+            missing: fileIds.filter(fileId => !foundIds.has(fileId))
         });
         
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
         console.error('❌ Error fetching documents:', error);
         res.status(500).json({
             error: 'Internal server error',
@@ -141,6 +485,175 @@ app.post('/api/documents', async (req, res) => {
     }
 });
 
+// Update a single QA document; question/answer changes are re-embedded
+app.patch('/api/documents/:fileId', async (req, res) => {
+    try {
+        const { tenant = 'tenant1', ...changes } = req.body;
+
+        const document = await weaviateSetup.updateDocument(req.params.fileId, tenant, changes);
+        
+        res.json({
+            success: true,
+            document: document
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error updating document:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Replace a document with a new QA pair ({ question, answer }) or new text ({ text, source, format })
+app.put('/api/documents/:fileId', async (req, res) => {
+    try {
+        const { tenant = 'tenant1', chunkSize, chunkOverlap, ...content } = req.body;
+
+        const document = await weaviateSetup.replaceDocument(req.params.fileId, tenant, content, {
+            chunkSize: chunkSize !== undefined ? parseInt(chunkSize, 10) : undefined,
+            chunkOverlap: chunkOverlap !== undefined ? parseInt(chunkOverlap, 10) : undefined
+        });
+        
+        res.json({
+            success: true,
+            document: document
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error replacing document:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/documents/:fileId', async (req, res) => {
+    try {
+        const tenant = req.query.tenant || (req.body && req.body.tenant) || 'tenant1';
+
+        const result = await weaviateSetup.deleteDocument(req.params.fileId, tenant);
+        
+        res.json({
+            success: true,
+            ...result
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error deleting document:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Bulk delete by filter, e.g. { "filters": { "source": "old-handbook.pdf" }, "dryRun": true }
+app.post('/api/documents/delete', async (req, res) => {
+    try {
+        const { tenant = 'tenant1', filters, dryRun = false, collection } = req.body;
+        
+        if (!filters || typeof filters !== 'object') {
+            return res.status(400).json({
+                error: 'filters object is required'
+            });
+        }
+
+        const result = await weaviateSetup.deleteDocuments(filters, tenant, { dryRun, collection });
+        
+        res.json({
+            success: true,
+            ...result
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error deleting documents:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Document ingestion endpoint: multipart uploads (field "files") or JSON raw text
+app.post('/api/ingest', upload.array('files'), async (req, res) => {
+    try {
+        const { tenant = 'tenant1', collection, text, source, format, fileId, tags, createdAt, onDuplicate, documents = [] } = req.body;
+        // Number, not parseInt: "abc" or "1.5" must be rejected rather than read as NaN or 1
+        const chunkSize = req.body.chunkSize !== undefined ? Number(req.body.chunkSize) : undefined;
+        const chunkOverlap = req.body.chunkOverlap !== undefined ? Number(req.body.chunkOverlap) : undefined;
+        const duplicateThreshold = req.body.duplicateThreshold !== undefined ? parseFloat(req.body.duplicateThreshold) : undefined;
+
+        const inputs = [
+            ...(req.files || []).map(file => ({
+                fileName: file.originalname,
+                mimeType: file.mimetype,
+                buffer: file.buffer
+            })),
+            ...(text ? [{ text, source, format, fileId }] : []),
+            ...(Array.isArray(documents) ? documents : [])
+        ];
+
+        if (inputs.length === 0 || inputs.some(input => !input.buffer && typeof input.text !== 'string')) {
+            return res.status(400).json({
+                error: 'Upload files or provide text (or a documents array of { text, source })'
+            });
+        }
+
+        const files = await weaviateSetup.ingestDocuments(inputs, tenant, {
+            chunkSize,
+            chunkOverlap,
+            tags,
+            createdAt,
+            onDuplicate,
+            duplicateThreshold,
+            collection
+        });
+        
+        res.status(201).json({
+            success: true,
+            tenant: tenant,
+            files: files,
+            fileIds: files.map(file => file.fileId),
+            totalChunks: files.reduce((sum, file) => sum + file.chunks, 0)
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error ingesting documents:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 // Chart generation endpoint
 app.post('/api/chart', async (req, res) => {
     try {
@@ -175,12 +688,293 @@ app.post('/api/chart', async (req, res) => {
     }
 });
 
+// Tenant administration endpoints
+app.get('/api/admin/tenants', async (req, res) => {
+    try {
+        const tenants = await weaviateSetup.listTenants();
+        
+        res.json({
+            success: true,
+            tenants: tenants,
+            count: tenants.length
+        });
+        
+    } catch (error) {
+        console.error('❌ Error listing tenants:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/admin/tenants', async (req, res) => {
+    try {
+        const { tenants } = req.body;
+        
+        if (!tenants || !Array.isArray(tenants) || tenants.length === 0) {
+            return res.status(400).json({
+                error: 'tenants array is required'
+            });
+        }
+
+        const created = await weaviateSetup.createTenants(tenants);
+        
+        res.status(201).json({
+            success: true,
+            created: created,
+            existing: tenants.filter(name => !created.includes(name))
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error creating tenants:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/admin/tenants/:name/deactivate', async (req, res) => {
+    try {
+        const tenant = await weaviateSetup.deactivateTenant(req.params.name);
+        
+        res.json({
+            success: true,
+            tenant: tenant
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error deactivating tenant:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/admin/tenants/:name/activate', async (req, res) => {
+    try {
+        const tenant = await weaviateSetup.activateTenant(req.params.name);
+        
+        res.json({
+            success: true,
+            tenant: tenant
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error activating tenant:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/admin/tenants/:name', async (req, res) => {
+    try {
+        await weaviateSetup.deleteTenant(req.params.name);
+        tenantSettings.remove(req.params.name);
+        await sessionStore.deleteTenant(req.params.name);
+        
+        res.json({
+            success: true,
+            deleted: req.params.name
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error deleting tenant:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Per-tenant settings, e.g. { "minSimilarity": 0.3, "disabledTools": ["Chart"] }
+app.get('/api/admin/tenants/:name/settings', async (req, res) => {
+    try {
+        await weaviateSetup.assertTenantExists(req.params.name);
+        
+        res.json({
+            success: true,
+            tenant: req.params.name,
+            settings: tenantSettings.get(req.params.name)
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error reading tenant settings:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Updates the given settings only; null resets one to the default
+app.put('/api/admin/tenants/:name/settings', async (req, res) => {
+    try {
+        await weaviateSetup.assertTenantExists(req.params.name);
+        if (req.body && Array.isArray(req.body.disabledTools)) {
+            toolRegistry.assertKnown(req.body.disabledTools);
+        }
+        const settings = tenantSettings.update(req.params.name, req.body);
+        
+        res.json({
+            success: true,
+            tenant: req.params.name,
+            settings: settings
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error updating tenant settings:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Clusters of duplicate documents in a tenant; ?threshold= overrides the
+// near-duplicate similarity threshold (DUPLICATE_THRESHOLD)
+app.get('/api/admin/tenants/:name/duplicates', async (req, res) => {
+    try {
+        const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined;
+        const report = await weaviateSetup.findDuplicateClusters(req.params.name, { threshold });
+        
+        res.json({
+            success: true,
+            ...report
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error finding duplicates:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Download a tenant snapshot (JSONL, gzip-compressed unless ?gzip=false)
+app.get('/api/admin/tenants/:name/export', async (req, res) => {
+    try {
+        const tenant = req.params.name;
+        const compress = req.query.gzip !== 'false';
+        await weaviateSetup.assertTenant(tenant);
+
+        const fileName = `${tenant}-${new Date().toISOString().slice(0, 10)}.jsonl${compress ? '.gz' : ''}`;
+        res.setHeader('Content-Type', compress ? 'application/gzip' : 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        const output = compress ? zlib.createGzip() : res;
+        if (compress) {
+            output.pipe(res);
+        }
+        await weaviateSetup.exportTenant(tenant, output);
+        output.end();
+        
+    } catch (error) {
+        // Once the snapshot has started streaming the status can no longer change
+        if (res.headersSent) {
+            console.error('❌ Error exporting tenant:', error);
+            return res.destroy(error);
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        console.error('❌ Error exporting tenant:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Restore a snapshot sent as the request body (application/x-ndjson, or
+// application/gzip when compressed) into the tenant named in the URL.
+// ?mode=create|merge|overwrite decides what happens if it exists, ?reembed=true
+// recomputes vectors with the current embedding provider.
+app.post('/api/admin/tenants/:name/restore', async (req, res) => {
+    try {
+        const compressed = req.is('application/gzip') || req.headers['content-encoding'] === 'gzip';
+        const input = compressed ? req.pipe(zlib.createGunzip()) : req;
+
+        const result = await weaviateSetup.restoreTenant(input, {
+            tenant: req.params.name,
+            mode: req.query.mode || 'create',
+            reembed: req.query.reembed === 'true'
+        });
+        
+        res.status(201).json({
+            success: true,
+            ...result
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+        // zlib reports a body that is not gzip, or is cut off, with a Z_* code
+        if (typeof error.code === 'string' && error.code.startsWith('Z_')) {
+            return res.status(400).json({
+                error: `Request body is not a valid gzip snapshot: ${error.message}`
+            });
+        }
+        console.error('❌ Error restoring tenant:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 // System status endpoint
 app.get('/api/status', (req, res) => {
     res.json({
         status: 'running',
         components: {
             weaviate: weaviateSetup ? 'initialized' : 'not initialized',
+            vectorStore: weaviateSetup ? weaviateSetup.storeStatus() : null,
             delegatingAgent: delegatingAgent ? 'ready' : 'not ready'
         },
         timestamp: new Date().toISOString()
@@ -198,19 +992,39 @@ app.listen(PORT, async () => {
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
     console.log(`🔍 API endpoints:`);
     console.log(`   POST /api/query - Main query endpoint`);
-    console.log(`   POST /api/search - Search documents`);
+    console.log(`   POST /api/query/stream - Main query endpoint as Server-Sent Events`);
+    console.log(`   GET /api/sessions - List conversation sessions`);
+    console.log(`   GET/DELETE /api/sessions/:id - Fetch or delete a session`);
+    console.log(`   GET /api/tools - List tools and their input schemas`);
+    console.log(`   GET /api/graph - Agent graph structure (JSON or Mermaid)`);
+    console.log(`   GET /api/collections - List document collections`);
+    console.log(`   POST /api/search - Search documents in one or more collections`);
     console.log(`   POST /api/documents - Get documents by fileIds`);
+    console.log(`   PUT/PATCH/DELETE /api/documents/:fileId - Replace, update or delete a document`);
+    console.log(`   POST /api/documents/delete - Bulk delete documents by filter`);
+    console.log(`   POST /api/ingest - Ingest files or raw text`);
     console.log(`   POST /api/chart - Generate charts`);
+    console.log(`   GET/POST /api/admin/tenants - List or create tenants`);
+    console.log(`   POST /api/admin/tenants/:name/(de)activate - Change tenant status`);
+    console.log(`   DELETE /api/admin/tenants/:name - Delete a tenant`);
+    console.log(`   GET/PUT /api/admin/tenants/:name/settings - Read or change tenant settings`);
+    console.log(`   GET /api/admin/tenants/:name/duplicates - Report duplicate documents`);
+    console.log(`   GET /api/admin/tenants/:name/export - Download a tenant snapshot`);
+    console.log(`   POST /api/admin/tenants/:name/restore - Restore a tenant snapshot`);
     console.log(`   GET /api/status - System status`);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down gracefully...');
+    if (weaviateSetup) weaviateSetup.close();
+    if (sessionStore) sessionStore.close();
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     console.log('\n🛑 Shutting down gracefully...');
+    if (weaviateSetup) weaviateSetup.close();
+    if (sessionStore) sessionStore.close();
     process.exit(0);
 }); 
\ No newline at end of file
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const WeaviateSetup = require('../src/database/weaviate-setup');
+const { DUPLICATE_ACTIONS } = require('../src/database/duplicates');
+const { loadCollections, DEFAULT_COLLECTION } = require('../src/database/collections');
+
+const COMMON_FIELDS = ['tenant', 'source', 'heading', 'tags', 'createdAt'];
+const MAX_LISTED_FAILURES = 50;
+
+// Importable fields of a collection: fileId, its own properties and the common ones
+function fieldsOf(collection) {
+    return ['fileId', ...collection.properties.map(property => property.name), ...COMMON_FIELDS];
+}
+
+class DocumentImporter {
+    constructor(options) {
+        this.options = options;
+        // Strict, so rows are never imported into a throwaway in-memory store
+        this.weaviateSetup = new WeaviateSetup({ strict: true });
+        this.collection = this.weaviateSetup.collections.get(options.collection);
+        this.fields = fieldsOf(this.collection);
+        this.requiredFields = ['fileId', this.collection.titleField, this.collection.contentField];
+        // Numeric properties arrive as strings from CSV
+        this.numericFields = this.collection.properties
+            .filter(property => ['int', 'number'].includes(property.dataType[0]))
+            .map(property => property.name);
+    }
+
+    // Reads the input file into raw records, keeping the line each came from
+    readRecords() {
+        const { file, format } = this.options;
+        const content = fs.readFileSync(file, 'utf8');
+
+        if (format === 'csv') {
+            return parse(content, {
+                columns: true,
+                bom: true,
+                skip_empty_lines: true,
+                trim: true,
+                info: true
+            }).map(({ record, info }) => ({ row: info.lines, record }));
+        }
+
+        return content.split(/\r?\n/)
+            .map((line, index) => ({ row: index + 1, line: line.trim() }))
+            .filter(({ line }) => line)
+            .map(({ row, line }) => {
+                try {
+                    return { row, record: JSON.parse(line) };
+                } catch (error) {
+                    return { row, error: `invalid JSON: ${error.message}` };
+                }
+            });
+    }
+
+    // Applies the column mapping and checks required fields
+    toRow({ row, record, error }) {
+        if (error) {
+            return { row, error };
+        }
+
+        const { mapping, metadataColumns, tenant } = this.options;
+        const value = (field) => {
+            const raw = record[mapping[field] || field];
+            return raw === undefined || raw === null ? '' : String(raw).trim();
+        };
+
+        const properties = {};
+        for (const field of this.fields.filter(field => field !== 'tenant')) {
+            if (value(field)) {
+                properties[field] = value(field);
+            }
+        }
+
+        const missing = this.requiredFields.filter(field => !properties[field]);
+        if (missing.length > 0) {
+            return { row, fileId: properties.fileId, error: `missing ${missing.join(', ')}` };
+        }
+
+        for (const field of this.numericFields.filter(field => properties[field] !== undefined)) {
+            const number = Number(properties[field]);
+            if (!Number.isFinite(number)) {
+                return { row, fileId: properties.fileId, error: `${field} must be a number, got "${properties[field]}"` };
+            }
+            properties[field] = number;
+        }
+
+        try {
+            const tags = this.weaviateSetup.normalizeTags(properties.tags);
+            if (tags.length > 0) {
+                properties.tags = tags;
+            } else {
+                delete properties.tags;
+            }
+            if (properties.createdAt) {
+                properties.createdAt = this.weaviateSetup.normalizeDate(properties.createdAt);
+            }
+        } catch (error) {
+            return { row, fileId: properties.fileId, error: error.message };
+        }
+
+        const metadata = typeof record.metadata === 'object' && record.metadata !== null ? { ...record.metadata } : {};
+        for (const column of metadataColumns) {
+            if (record[column] !== undefined && record[column] !== '') {
+                metadata[column] = record[column];
+            }
+        }
+        if (Object.keys(metadata).length > 0) {
+            properties.metadata = JSON.stringify(metadata);
+        }
+
+        return { row, tenant: value('tenant') || tenant, collection: this.collection.name, properties };
+    }
+
+    async run() {
+        const { file, dryRun, createTenants, batchSize, onExisting, onDuplicate, duplicateThreshold } = this.options;
+
+        console.log(`📥 Importing ${file} into ${this.collection.name}`);
+        const rows = this.readRecords().map(record => this.toRow(record));
+        const valid = rows.filter(row => !row.error);
+        const invalid = rows
+            .filter(row => row.error)
+            .map(row => ({ row: row.row, fileId: row.fileId, reason: row.error }));
+
+        console.log(`🔍 ${rows.length} rows read, ${valid.length} valid, ${invalid.length} invalid`);
+
+        let summary = { inserted: 0, updated: 0, skipped: 0, duplicates: [], failed: [] };
+        if (dryRun) {
+            console.log('💡 Dry run, nothing was written');
+        } else if (valid.length > 0) {
+            await this.weaviateSetup.initialize();
+            await this.weaviateSetup.createSchema();
+
+            if (createTenants) {
+                await this.weaviateSetup.createTenants([...new Set(valid.map(row => row.tenant))]);
+            }
+
+            summary = await this.weaviateSetup.importDocuments(valid, { batchSize, onExisting, onDuplicate, duplicateThreshold });
+        }
+
+        const failed = [...invalid, ...summary.failed].sort((a, b) => a.row - b.row);
+        this.printSummary(summary, failed);
+        return failed.length === 0;
+    }
+
+    printSummary(summary, failed) {
+        console.log('\n📊 Import Summary');
+        console.log('=================');
+        console.log(`Inserted: ${summary.inserted}`);
+        console.log(`Updated:  ${summary.updated}`);
+        console.log(`Skipped:  ${summary.skipped} (fileId already exists)`);
+        console.log(`Duplicates: ${summary.duplicates.length}`);
+        console.log(`Failed:   ${failed.length}`);
+
+        if (summary.duplicates.length > 0) {
+            console.log('\n🔁 Duplicate rows:');
+            summary.duplicates.slice(0, MAX_LISTED_FAILURES).forEach(duplicate => {
+                console.log(`   Row ${duplicate.row} (${duplicate.fileId}): ${duplicate.match} duplicate of ${duplicate.duplicateOf}` +
+                    ` (similarity ${duplicate.similarity.toFixed(3)}, ${duplicate.action})`);
+            });
+            if (summary.duplicates.length > MAX_LISTED_FAILURES) {
+                console.log(`   ... and ${summary.duplicates.length - MAX_LISTED_FAILURES} more`);
+            }
+        }
+
+        if (failed.length > 0) {
+            console.log('\n❌ Failed rows:');
+            failed.slice(0, MAX_LISTED_FAILURES).forEach(failure => {
+                console.log(`   Row ${failure.row}${failure.fileId ? ` (${failure.fileId})` : ''}: ${failure.reason}`);
+            });
+            if (failed.length > MAX_LISTED_FAILURES) {
+                console.log(`   ... and ${failed.length - MAX_LISTED_FAILURES} more`);
+            }
+        }
+    }
+}
+
+function parseArgs(argv) {
+    const options = {
+        file: null,
+        format: null,
+        tenant: 'tenant1',
+        collection: DEFAULT_COLLECTION,
+        mapping: {},
+        metadataColumns: [],
+        batchSize: 100,
+        onExisting: 'skip',
+        onDuplicate: undefined,
+        duplicateThreshold: undefined,
+        createTenants: false,
+        dryRun: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--format':
+                options.format = argv[++i];
+                break;
+            case '--tenant':
+                options.tenant = argv[++i];
+                break;
+            case '--collection':
+                options.collection = argv[++i];
+                break;
+            case '--map':
+                // fileId=ID,question=Question,answer=Answer; fields are checked once the collection is known
+                for (const pair of argv[++i].split(',')) {
+                    const [field, column] = pair.split('=').map(part => part.trim());
+                    options.mapping[field] = column;
+                }
+                break;
+            case '--metadata':
+                options.metadataColumns = argv[++i].split(',').map(column => column.trim()).filter(Boolean);
+                break;
+            case '--batch-size':
+                options.batchSize = parseInt(argv[++i], 10);
+                if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+                    throw new Error('--batch-size must be a positive integer');
+                }
+                break;
+            case '--on-existing':
+                options.onExisting = argv[++i];
+                if (!['skip', 'upsert'].includes(options.onExisting)) {
+                    throw new Error('--on-existing must be "skip" or "upsert"');
+                }
+                break;
+            case '--on-duplicate':
+                options.onDuplicate = argv[++i];
+                if (!DUPLICATE_ACTIONS.includes(options.onDuplicate)) {
+                    throw new Error(`--on-duplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+                }
+                break;
+            case '--duplicate-threshold':
+                options.duplicateThreshold = parseFloat(argv[++i]);
+                if (!(options.duplicateThreshold > 0 && options.duplicateThreshold <= 1)) {
+                    throw new Error('--duplicate-threshold must be a number greater than 0 and at most 1');
+                }
+                break;
+            case '--create-tenants':
+                options.createTenants = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            default:
+                if (arg.startsWith('--') || options.file) {
+                    throw new Error(`Unexpected argument "${arg}"`);
+                }
+                options.file = arg;
+        }
+    }
+
+    const fields = fieldsOf(loadCollections().get(options.collection));
+    for (const [field, column] of Object.entries(options.mapping)) {
+        if (!fields.includes(field) || !column) {
+            throw new Error(`Invalid mapping "${field}=${column || ''}", expected <${fields.join('|')}>=<column>`);
+        }
+    }
+
+    if (options.file && !options.format) {
+        options.format = path.extname(options.file).toLowerCase() === '.csv' ? 'csv' : 'jsonl';
+    }
+    if (options.format && !['csv', 'jsonl'].includes(options.format)) {
+        throw new Error('--format must be "csv" or "jsonl"');
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('📥 Document Importer');
+    console.log('====================');
+    console.log('');
+    console.log('Usage:');
+    console.log('  npm run import -- <file.jsonl|file.csv> [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --format <csv|jsonl>         Input format (default: from file extension)');
+    console.log('  --tenant <name>              Tenant for rows without a tenant column (default: tenant1)');
+    console.log('  --collection <name>          Collection to import into, e.g. Article or Product (default: QADocument)');
+    console.log('  --map <field=column,...>     Column mapping for fileId, the collection\'s properties (question, answer, ...),');
+    console.log('                               tenant, source, heading, tags (comma-separated) and createdAt (date)');
+    console.log('  --metadata <column,...>      Extra columns stored as document metadata');
+    console.log('  --batch-size <n>             Objects per Weaviate batch (default: 100)');
+    console.log('  --on-existing <skip|upsert>  What to do with fileIds that already exist (default: skip)');
+    console.log('  --on-duplicate <skip|merge|flag|allow>');
+    console.log('                               What to do with rows duplicating other content (default: DUPLICATE_ACTION or flag)');
+    console.log('  --duplicate-threshold <0-1>  Similarity from which rows are near-duplicates (default: DUPLICATE_THRESHOLD or 0.95)');
+    console.log('  --create-tenants             Create tenants that do not exist yet');
+    console.log('  --dry-run                    Validate rows without writing anything');
+    console.log('');
+    console.log('Example:');
+    console.log('  npm run import -- faq.csv --map fileId=ID,question=Question,answer=Answer --metadata Category --on-existing upsert');
+    console.log('  npm run import -- catalog.csv --collection Product --map fileId=SKU,sku=SKU,name=Name,description=Text,price=Price');
+}
+
+// CLI interface
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!options.file) {
+        printUsage();
+        return;
+    }
+    if (!fs.existsSync(options.file)) {
+        console.error(`❌ File not found: ${options.file}`);
+        process.exit(1);
+    }
+
+    const importer = new DocumentImporter(options);
+    const success = await importer.run();
+    process.exit(success ? 0 : 1);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Import failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = DocumentImporter;
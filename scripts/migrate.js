@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+const Migrator = require('../src/database/migrator');
+const { WeaviateVectorStore } = require('../src/vector-stores');
+
+// Migrations only apply to Weaviate; the in-memory store has no schema
+async function connect() {
+    const store = new WeaviateVectorStore();
+    await store.connect();
+    return new Migrator(store.client);
+}
+
+async function showStatus(migrator) {
+    const status = await migrator.status();
+
+    console.log('\n📋 Schema Migrations');
+    console.log('====================');
+    status.migrations.forEach(migration => {
+        const state = migration.appliedAt ? `✅ applied ${migration.appliedAt}` : '⏳ pending';
+        console.log(`   ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(28)} ${state}`);
+    });
+    console.log('');
+    console.log(`Current version: ${status.currentVersion}`);
+    console.log(`Latest version:  ${status.latestVersion}`);
+}
+
+// CLI interface
+async function main() {
+    const command = process.argv[2];
+    const toIndex = process.argv.indexOf('--to');
+    const to = toIndex > -1 ? parseInt(process.argv[toIndex + 1], 10) : undefined;
+
+    switch (command) {
+        case 'up': {
+            if (toIndex > -1 && !Number.isInteger(to)) {
+                throw new Error('--to must be a migration version number');
+            }
+            const migrator = await connect();
+            const applied = await migrator.up({ to });
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s)`
+                : '✅ Schema is up to date');
+            await showStatus(migrator);
+            break;
+        }
+
+        case 'status':
+            await showStatus(await connect());
+            break;
+
+        default:
+            console.log('🔧 Schema Migrations');
+            console.log('====================');
+            console.log('');
+            console.log('Usage:');
+            console.log('  node scripts/migrate.js <command>');
+            console.log('');
+            console.log('Commands:');
+            console.log('  up [--to <version>]  - Apply pending migrations');
+            console.log('  status               - Show applied and pending migrations');
+            console.log('');
+            console.log('Example:');
+            console.log('  npm run migrate -- --to 1');
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+const WeaviateSetup = require('../src/database/weaviate-setup');
+const Seeder = require('../src/database/seeder');
+
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--tenant':
+                options.tenant = argv[++i];
+                break;
+            case '--env':
+                options.environment = argv[++i];
+                break;
+            default:
+                throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+    }
+    return options;
+}
+
+async function seed(options, reset) {
+    // Strict, so fixtures are never seeded into a throwaway in-memory store
+    const weaviateSetup = new WeaviateSetup({ strict: true });
+    await weaviateSetup.initialize();
+    await weaviateSetup.createSchema();
+
+    const seeder = new Seeder(weaviateSetup, { environment: options.environment });
+    console.log(`🌱 ${reset ? 'Resetting' : 'Loading'} fixtures from ${seeder.directory}`);
+
+    const results = await seeder.seed({ tenant: options.tenant, reset });
+    if (results.length === 0) {
+        console.log('⚠️ No fixture files found');
+    }
+
+    const failed = results.flatMap(result => result.failed.map(failure => ({ tenant: result.tenant, ...failure })));
+    failed.forEach(failure => console.log(`   ❌ ${failure.tenant}/${failure.fileId}: ${failure.reason}`));
+    return failed.length === 0;
+}
+
+function printUsage() {
+    console.log('🌱 Fixture Seeding');
+    console.log('==================');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node scripts/seed.js <command> [options]');
+    console.log('');
+    console.log('Commands:');
+    console.log('  load    - Upsert fixtures by fileId, leaving other documents alone');
+    console.log('  reset   - Delete the tenant and recreate it with only its fixtures');
+    console.log('');
+    console.log('Options:');
+    console.log('  --tenant <name>   Only this tenant (required for reset)');
+    console.log('  --env <name>      Fixture set in fixtures/<name> (default: SEED_ENV, NODE_ENV or development)');
+    console.log('');
+    console.log('Example:');
+    console.log('  npm run seed -- --tenant tenant1');
+    console.log('  npm run seed:reset -- --tenant tenant2 --env staging');
+}
+
+// CLI interface
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'load':
+            if (!await seed(parseArgs(args), false)) {
+                process.exit(1);
+            }
+            break;
+
+        case 'reset': {
+            const options = parseArgs(args);
+            // Resetting deletes data, so it is never done for all tenants at once
+            if (!options.tenant) {
+                throw new Error('reset needs --tenant');
+            }
+            if (!await seed(options, true)) {
+                process.exit(1);
+            }
+            break;
+        }
+
+        default:
+            printUsage();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Seeding failed:', error.message);
+        process.exit(1);
+    });
+}
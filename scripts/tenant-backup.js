@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline, finished } = require('stream/promises');
+const WeaviateSetup = require('../src/database/weaviate-setup');
+
+// Snapshots ending in .gz are gzip-compressed
+const isCompressed = (file) => file.endsWith('.gz');
+
+// Strict: with Weaviate unreachable a backup or restore must fail rather
+// than run against a throwaway in-memory store
+async function connect() {
+    const weaviateSetup = new WeaviateSetup({ strict: true });
+    await weaviateSetup.initialize();
+    await weaviateSetup.createSchema();
+    return weaviateSetup;
+}
+
+async function exportTenant(tenant, file) {
+    const weaviateSetup = await connect();
+    const output = fs.createWriteStream(file);
+    const target = isCompressed(file) ? zlib.createGzip() : output;
+    const written = target === output ? finished(output) : pipeline(target, output);
+
+    try {
+        const { objects } = await weaviateSetup.exportTenant(tenant, target);
+        target.end();
+        await written;
+        console.log(`✅ Exported ${objects} objects from ${tenant} to ${file}`);
+    } catch (error) {
+        // Do not leave a partial snapshot behind
+        target.destroy();
+        await written.catch(() => {});
+        fs.rmSync(file, { force: true });
+        throw error;
+    }
+}
+
+async function restoreTenant(file, options) {
+    const weaviateSetup = await connect();
+    let input = fs.createReadStream(file);
+    if (isCompressed(file)) {
+        input = input.pipe(zlib.createGunzip());
+    }
+
+    const result = await weaviateSetup.restoreTenant(input, options);
+    console.log(`✅ Restored ${result.restored} objects from ${result.source} into ${result.tenant} (${result.mode})`);
+}
+
+function parseRestoreOptions(argv) {
+    const options = { mode: 'create', reembed: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--tenant':
+                options.tenant = argv[++i];
+                break;
+            case '--mode':
+                options.mode = argv[++i];
+                break;
+            case '--reembed':
+                options.reembed = true;
+                break;
+            default:
+                throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log('📦 Tenant Backup');
+    console.log('================');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node scripts/tenant-backup.js <command>');
+    console.log('');
+    console.log('Commands:');
+    console.log('  export <tenant> [file]     - Write a snapshot (default: <tenant>-<date>.jsonl.gz)');
+    console.log('  restore <file> [options]   - Restore a snapshot');
+    console.log('');
+    console.log('Restore options:');
+    console.log('  --tenant <name>                   Restore under another tenant name');
+    console.log('  --mode <create|merge|overwrite>   When the tenant exists: refuse (default), add to it, or replace it');
+    console.log('  --reembed                         Recompute vectors with the current embedding provider');
+    console.log('');
+    console.log('Example:');
+    console.log('  npm run tenant:export -- tenant1 backups/tenant1.jsonl.gz');
+    console.log('  npm run tenant:restore -- backups/tenant1.jsonl.gz --tenant tenant1-staging --mode overwrite');
+}
+
+// CLI interface
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'export': {
+            const [tenant, file] = args;
+            if (!tenant) {
+                printUsage();
+                process.exit(1);
+            }
+            await exportTenant(tenant, file || `${tenant}-${new Date().toISOString().slice(0, 10)}.jsonl.gz`);
+            break;
+        }
+
+        case 'restore': {
+            const [file, ...rest] = args;
+            if (!file) {
+                printUsage();
+                process.exit(1);
+            }
+            if (!fs.existsSync(file)) {
+                throw new Error(`File not found: ${file}`);
+            }
+            await restoreTenant(file, parseRestoreOptions(rest));
+            break;
+        }
+
+        default:
+            printUsage();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Tenant backup failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -1,133 +1,336 @@
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { HumanMessage, AIMessage } = require('@langchain/core/messages');
+const { StateGraph, Annotation, START, END } = require('@langchain/langgraph');
 const LLMConfig = require('../llm/llm-config');
 const RAGAgent = require('./rag-agent');
-const ChartTool = require('../tools/chart-tool');
+const { loadTools } = require('../tools');
+const { QueryRouter } = require('./query-router');
+const QueryRewriter = require('../retrieval/query-rewriter');
 
+// A state field that starts at `initial` and is overwritten by node updates
+const value = initial => Annotation({ reducer: (current, update) => update, default: initial });
+
+// State shared by the graph nodes. Each node returns the fields it changes;
+// toolsUsed is appended to, everything else is overwritten.
+const AgentState = Annotation.Root({
+    // Input: the question, its tenant, { filters, multiQuery, hyde, collections }
+    // and the earlier messages of the conversation
+    query: Annotation(),
+    tenant: Annotation(),
+    options: value(() => ({})),
+    history: value(() => []),
+    // The question with follow-up references resolved; what the tools work on
+    standaloneQuery: Annotation(),
+    // Routing decision of the route node, see ./query-router
+    analysis: Annotation(),
+    // Retrieval results: context documents, generated sub-queries and
+    // candidates that missed the relevance threshold
+    documents: value(() => []),
+    subQueries: value(() => []),
+    nearMisses: value(() => []),
+    // Response fields, returned as they are by processQuery
+    answer: value(() => ''),
+    references: value(() => []),
+    fileIds: value(() => []),
+    // Outputs of the registered tools that ran, { <tool name>: output }
+    toolOutputs: Annotation({ reducer: (current, update) => ({ ...current, ...update }), default: () => ({}) }),
+    noAnswer: value(() => null),
+    toolsUsed: Annotation({ reducer: (current, update) => current.concat(update), default: () => [] })
+});
+
+// Orchestrates the tools as a LangGraph StateGraph:
+//   rewrite       -> route
+//   route         -> retrieve (RAG or a tool using documents chosen) | tools | direct
+//   retrieve      -> generate (RAG chosen, documents found) | tools | synthesize
+//   generate      -> tools (tools chosen) | synthesize
+//   tools, direct -> synthesize -> END
+// The tools node runs the registered tools (see ../tools) the router chose,
+// with the retrieved documents as sources; options.tools replaces the
+// registry, a tenant's disabledTools setting hides tools from the router.
+// describeGraph exports the structure, e.g. as a Mermaid flowchart.
+// streamQuery runs the same graph and yields events as the nodes progress.
 class DelegatingAgent {
-    constructor(weaviateSetup = null) {
+    constructor(weaviateSetup = null, options = {}) {
         this.llm = new LLMConfig();
-        this.ragAgent = new RAGAgent(weaviateSetup);
-        this.chartTool = new ChartTool();
+        this.ragAgent = new RAGAgent(weaviateSetup, { tenantSettings: options.tenantSettings });
+        this.tenantSettings = this.ragAgent.tenantSettings;
+        this.tools = options.tools || loadTools();
+        this.router = options.router || new QueryRouter(this.llm);
+        this.rewriter = options.rewriter || new QueryRewriter(this.llm);
+        this.graph = this.buildGraph();
     }
 
-    async processQuery(userQuery, tenant = 'tenant1') {
+    buildGraph() {
+        return new StateGraph(AgentState)
+            .addNode('rewrite', (state, config) => this.rewrite(state, config))
+            .addNode('route', (state, config) => this.route(state, config))
+            .addNode('retrieve', (state, config) => this.retrieve(state, config))
+            .addNode('generate', (state, config) => this.generate(state, config))
+            .addNode('tools', (state, config) => this.runTools(state, config))
+            .addNode('direct', (state, config) => this.direct(state, config))
+            .addNode('synthesize', (state, config) => this.synthesize(state, config))
+            .addEdge(START, 'rewrite')
+            .addEdge('rewrite', 'route')
+            .addConditionalEdges('route', state => {
+                if (this.needsDocuments(state)) return 'retrieve';
+                return this.chosenTools(state).length > 0 ? 'tools' : 'direct';
+            }, ['retrieve', 'tools', 'direct'])
+            .addConditionalEdges('retrieve', state => {
+                if (state.documents.length > 0 && state.analysis.tools.includes('RAG')) return 'generate';
+                return this.chosenTools(state).length > 0 ? 'tools' : 'synthesize';
+            }, ['generate', 'tools', 'synthesize'])
+            .addConditionalEdges('generate', state => (this.chosenTools(state).length > 0 ? 'tools' : 'synthesize'), ['tools', 'synthesize'])
+            .addEdge('tools', 'synthesize')
+            .addEdge('direct', 'synthesize')
+            .addEdge('synthesize', END)
+            .compile();
+    }
+
+    // options.history holds the earlier messages of a session, oldest first,
+    // so follow-up questions can be resolved
+    async processQuery(userQuery, tenant = 'tenant1', options = {}) {
         try {
-            // Step 1: Analyze the query to determine what tools/agents to use
-            const analysis = await this.analyzeQuery(userQuery);
-            
-            const response = {
-                answer: '',
-                references: [],
-                fileIds: [],
-                chartConfig: null,
-                toolsUsed: []
-            };
-
-            // Step 2: Execute tools/agents based on analysis
-            const promises = [];
-
-            // Use RAG agent if needed
-            if (analysis.useRAG) {
-                promises.push(this.ragAgent.processQuery(userQuery, tenant));
-                response.toolsUsed.push('RAG');
-            }
+            const state = await this.graph.invoke(this.toInput(userQuery, tenant, options));
+            return this.toResponse(state);
+        } catch (error) {
+            console.error('❌ Error in delegating agent:', error);
+            return this.errorResponse();
+        }
+    }
 
-            // Use Chart tool if needed
-            if (analysis.useChart) {
-                const chartInput = this.prepareChartInput(userQuery, analysis.chartType);
-                promises.push(this.chartTool.invoke(chartInput));
-                response.toolsUsed.push('Chart');
+    // Like processQuery, but yields { event, data } while the graph runs:
+    //   rewrite    { query, standaloneQuery }  follow-up rewritten
+    //   routing    routing decision
+    //   references { references, subQueries }  context found
+    //   tool       { tool, output }            a registered tool finished
+    //   token      { content }                 next piece of the answer
+    //   answer     { answer }                  answer replaced, e.g. by a combined one
+    //   done       the response processQuery returns
+    async *streamQuery(userQuery, tenant = 'tenant1', options = {}) {
+        let state = null;
+        try {
+            const stream = await this.graph.stream(this.toInput(userQuery, tenant, options), { streamMode: ['custom', 'values'] });
+            for await (const [mode, chunk] of stream) {
+                if (mode === 'custom') {
+                    yield chunk;
+                } else {
+                    state = chunk;
+                }
             }
+        } catch (error) {
+            console.error('❌ Error in delegating agent:', error);
+            yield { event: 'done', data: this.errorResponse() };
+            return;
+        }
+        yield { event: 'done', data: this.toResponse(state) };
+    }
 
-            // If no specific tools needed, provide direct answer
-            if (!analysis.useRAG && !analysis.useChart) {
-                const directAnswer = await this.provideDirectAnswer(userQuery);
-                response.answer = directAnswer;
-                response.toolsUsed.push('Direct');
-            }
+    toInput(userQuery, tenant, options) {
+        return {
+            query: userQuery,
+            tenant: tenant,
+            options: {
+                filters: options.filters,
+                multiQuery: options.multiQuery,
+                hyde: options.hyde,
+                collections: options.collections
+            },
+            history: options.history || []
+        };
+    }
 
-            // Step 3: Wait for all tools to complete
-            if (promises.length > 0) {
-                const results = await Promise.all(promises);
-                
-                results.forEach((result, index) => {
-                    if (response.toolsUsed[index] === 'RAG') {
-                        response.answer = result.answer;
-                        response.fileIds = result.fileIds;
-                        response.references = result.references;
-                    } else if (response.toolsUsed[index] === 'Chart') {
-                        if (result.success) {
-                            response.chartConfig = result.chartConfig;
-                        }
-                    }
-                });
-            }
+    toResponse(state) {
+        return {
+            answer: state.answer,
+            references: state.references,
+            fileIds: state.fileIds,
+            ...this.tools.toResponseFields(state.toolOutputs),
+            toolsUsed: state.toolsUsed,
+            subQueries: state.subQueries,
+            noAnswer: state.noAnswer,
+            routing: state.analysis,
+            standaloneQuery: state.standaloneQuery
+        };
+    }
 
-            // Step 4: Generate final response if multiple tools were used
-            if (response.toolsUsed.length > 1) {
-                response.answer = await this.generateCombinedResponse(userQuery, response);
-            }
+    errorResponse() {
+        return {
+            answer: "I encountered an error while processing your request. Please try again.",
+            references: [],
+            fileIds: [],
+            ...this.tools.toResponseFields(),
+            toolsUsed: ['Error'],
+            routing: null
+        };
+    }
 
-            return response;
+    // Sends a stream event; a no-op unless the graph runs from streamQuery
+    emit(config, event, data) {
+        if (config && config.writer) {
+            config.writer({ event, data });
+        }
+    }
+
+    // Graph nodes: each reads AgentState and returns the fields it changes.
+    // An answer that is not generated token by token is emitted as one token.
+
+    // Step 1: Rewrite a follow-up question into a standalone one
+    async rewrite(state, config) {
+        const standaloneQuery = await this.rewriter.rewrite(state.query, state.history);
+        if (state.history.length > 0) {
+            this.emit(config, 'rewrite', { query: state.query, standaloneQuery });
+        }
+        return { standaloneQuery };
+    }
+
+    // Step 2: Analyze the query to determine what tools/agents to use
+    async route(state, config) {
+        const analysis = await this.analyzeQuery(state.standaloneQuery, this.availableTools(state.tenant));
+        this.emit(config, 'routing', analysis);
+        return { analysis };
+    }
 
+    // Step 3: Retrieve context with the RAG agent; when nothing is relevant
+    // enough the no-answer response is the answer. Without RAG the documents
+    // are only sources for the tools.
+    async retrieve(state, config) {
+        const { standaloneQuery, tenant, options } = state;
+        if (!state.analysis.tools.includes('RAG')) {
+            try {
+                const { documents, subQueries, nearMisses } = await this.ragAgent.retrieve(standaloneQuery, tenant, options.filters, options);
+                return { documents, subQueries, nearMisses };
+            } catch (error) {
+                console.error('❌ Error retrieving documents for tools:', error);
+                return { documents: [] };
+            }
+        }
+        try {
+            const { documents, subQueries, nearMisses } = await this.ragAgent.retrieve(standaloneQuery, tenant, options.filters, options);
+            if (documents.length > 0) {
+                this.emit(config, 'references', { references: this.ragAgent.toReferences(documents), subQueries });
+                return { documents, subQueries, nearMisses, toolsUsed: ['RAG'] };
+            }
+            const noAnswer = this.ragAgent.noAnswer(tenant, nearMisses);
+            this.emit(config, 'token', { content: noAnswer.answer });
+            return { ...noAnswer, documents, subQueries, nearMisses, toolsUsed: ['RAG'] };
         } catch (error) {
-            console.error('❌ Error in delegating agent:', error);
-            return {
-                answer: "I encountered an error while processing your request. Please try again.",
-                references: [],
-                fileIds: [],
-                chartConfig: null,
-                toolsUsed: ['Error']
-            };
+            console.error('❌ Error in RAG agent:', error);
+            const response = this.ragAgent.errorResponse();
+            this.emit(config, 'token', { content: response.answer });
+            return { ...response, documents: [], toolsUsed: ['RAG'] };
         }
     }
 
-    async analyzeQuery(userQuery) {
-        // Simplified analysis based on keywords
-        const query = userQuery.toLowerCase();
-        
-        const useRAG = query.includes('what') || query.includes('how') || query.includes('why') || 
-                       query.includes('search') || query.includes('find') || query.includes('machine learning') || 
-                       query.includes('neural network') || query.includes('deep learning') || query.includes('ai');
-        
-        const useChart = query.includes('chart') || query.includes('graph') || query.includes('visualize') || 
-                        query.includes('plot') || query.includes('bar') || query.includes('pie') || 
-                        query.includes('line') || query.includes('doughnut');
-        
-        let chartType = 'bar';
-        if (query.includes('pie')) chartType = 'pie';
-        else if (query.includes('line')) chartType = 'line';
-        else if (query.includes('doughnut')) chartType = 'doughnut';
-        
-        return {
-            useRAG: useRAG,
-            useChart: useChart,
-            chartType: chartType,
-            reasoning: `Analysis based on query content: ${userQuery}`
+    // Step 4: Answer from the retrieved documents
+    async generate(state, config) {
+        // Streamed from the LLM only when someone listens
+        const onToken = config && config.writer
+            ? content => this.emit(config, 'token', { content })
+            : null;
+        try {
+            return await this.ragAgent.generate(state.standaloneQuery, state.documents, { onToken });
+        } catch (error) {
+            console.error('❌ Error in RAG agent:', error);
+            const response = this.ragAgent.errorResponse();
+            this.emit(config, 'answer', { answer: response.answer });
+            return response;
+        }
+    }
+
+    // Runs the chosen tools side by side; a failing tool has no output
+    async runTools(state, config) {
+        const chosen = this.chosenTools(state);
+        const context = {
+            tenant: state.tenant,
+            llm: this.llm,
+            sources: state.documents.map(doc => ({
+                fileId: doc.fileId,
+                collection: doc.collection,
+                title: doc.title,
+                text: this.ragAgent.weaviate.collections.formatContext(doc)
+            }))
         };
+        const outputs = await Promise.all(chosen.map(async name => {
+            try {
+                const output = await this.tools.run(name, state.standaloneQuery, state.analysis.arguments[name], context);
+                this.emit(config, 'tool', { tool: name, output });
+                return output;
+            } catch (error) {
+                console.error(`❌ Error in tool ${name}:`, error);
+                return null;
+            }
+        }));
+
+        const toolOutputs = {};
+        chosen.forEach((name, index) => {
+            toolOutputs[name] = outputs[index];
+        });
+        return { toolOutputs, toolsUsed: chosen };
     }
 
-    determineChartType(query) {
-        const lowerQuery = query.toLowerCase();
-        if (lowerQuery.includes('bar')) return 'bar';
-        if (lowerQuery.includes('line')) return 'line';
-        if (lowerQuery.includes('pie')) return 'pie';
-        if (lowerQuery.includes('doughnut')) return 'doughnut';
-        return 'bar'; // default
+    // Registered tools in the routing decision
+    chosenTools(state) {
+        return state.analysis.tools.filter(name => this.tools.has(name));
     }
 
-    prepareChartInput(userQuery, chartType) {
-        // Generate sample data based on the query
-        const sampleData = this.chartTool.generateSampleData(chartType);
-        
+    // Whether retrieval runs: for RAG, or as sources for the chosen tools
+    needsDocuments(state) {
+        return state.analysis.tools.includes('RAG') ||
+            this.chosenTools(state).some(name => this.tools.get(name).usesDocuments);
+    }
+
+    // Tools the router may pick for a tenant
+    availableTools(tenant) {
+        return this.tools.enabled(this.tenantSettings.get(tenant).disabledTools);
+    }
+
+    // No specific tools needed, provide direct answer
+    async direct(state, config) {
+        const answer = await this.provideDirectAnswer(state.standaloneQuery);
+        this.emit(config, 'token', { content: answer });
+        return { answer, toolsUsed: ['Direct'] };
+    }
+
+    // Step 5: Generate final response if multiple tools were used, and say
+    // which tools had nothing to show
+    async synthesize(state, config) {
+        let answer = state.toolsUsed.length > 1
+            ? await this.generateCombinedResponse(state.query, state)
+            : state.answer;
+        const notes = this.chosenTools(state)
+            .map(name => this.tools.get(name))
+            .filter(tool => tool.noOutputMessage && !state.toolOutputs[tool.name])
+            .map(tool => tool.noOutputMessage);
+        if (notes.length > 0) {
+            answer = [answer, ...notes].filter(Boolean).join(' ');
+        }
+
+        if (answer !== state.answer) {
+            this.emit(config, 'answer', { answer });
+            return { answer };
+        }
+        return {};
+    }
+
+    // Nodes and edges of the compiled graph, with a Mermaid flowchart
+    describeGraph() {
+        const graph = this.graph.getGraph();
         return {
-            chartType: chartType,
-            data: sampleData,
-            title: `Chart for: ${userQuery}`
+            nodes: Object.keys(graph.nodes),
+            edges: graph.edges.map(edge => ({
+                source: edge.source,
+                target: edge.target,
+                conditional: Boolean(edge.conditional)
+            })),
+            mermaid: graph.drawMermaid()
         };
     }
 
+    // Routing decision { tools, arguments, entities, confidence, reasoning, source }
+    async analyzeQuery(userQuery, tools = this.tools.enabled()) {
+        return this.router.route(userQuery, tools);
+    }
+
     async provideDirectAnswer(userQuery) {
         const query = userQuery.toLowerCase();
         
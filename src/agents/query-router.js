@@ -0,0 +1,133 @@
+const { HumanMessage } = require('@langchain/core/messages');
+const { requireLLM, parseJsonReply } = require('../llm/llm-replies');
+
+// The agents the router can always pick, besides the registered tools
+const RAG = { name: 'RAG', description: "answers questions from the tenant's knowledge base" };
+const DIRECT = { name: 'Direct', description: 'small talk and questions the knowledge base cannot answer; never combined with other tools' };
+
+// Whole words only, so "email" is not "ai"
+const RAG_PATTERN = /\b(explain|describe|define|search|find|tell me about|machine learning|neural networks?|deep learning|ai|artificial intelligence)\b/;
+// Question words ask the knowledge base too, unless the query is small talk:
+// "Hello, how are you?" greets, "What time is it?" is not in any document.
+// A greeting in front of a question ("Hi, how do refunds work?") is not.
+const QUESTION_PATTERN = /\b(what|how|why|who|when|where|which)\b/;
+const SMALL_TALK_PATTERN = /\b(thanks|thank you|how are you|how's it going|what's up|who are you|your name|weather|time is it|joke)\b/;
+
+// Offline routing on keywords, used when the LLM cannot give a usable
+// decision. tools are registry entries (see ../tools); each matches its
+// own keywords.
+function keywordRoute(query, tools = []) {
+    const text = query.toLowerCase();
+    const selected = [];
+    const args = {};
+    if (RAG_PATTERN.test(text) || (QUESTION_PATTERN.test(text) && !SMALL_TALK_PATTERN.test(text))) selected.push('RAG');
+    for (const tool of tools) {
+        if (tool.keywords && tool.keywords.test(text)) {
+            selected.push(tool.name);
+            args[tool.name] = tool.keywordArguments ? tool.keywordArguments(query) : {};
+        }
+    }
+    if (selected.length === 0) selected.push('Direct');
+
+    return {
+        tools: selected,
+        arguments: args,
+        entities: [],
+        confidence: 0.5,
+        reasoning: `Keyword match: ${selected.join(' and ')}`
+    };
+}
+
+// Decides which agents and tools answer a query by asking the LLM for a
+// routing decision
+//   { tools: ['RAG' | 'Direct' | <tool name>], arguments: { <tool name>: {...} },
+//     entities, confidence, reasoning, source }
+// The LLM picks from RAG, Direct and the tools passed to route. The reply is
+// checked against that schema and the argument schema of every tool it
+// picks; a decision that breaks either one is discarded as a whole and
+// keywordRoute decides (source 'keywords').
+class QueryRouter {
+    constructor(llm) {
+        this.llm = requireLLM(llm, 'Query routing');
+    }
+
+    async route(query, tools = []) {
+        try {
+            const response = await this.llm.invoke([new HumanMessage(this.buildPrompt(query, tools))]);
+            return { ...this.parseDecision(response.content, tools), source: 'llm' };
+        } catch (error) {
+            console.warn(`⚠️ Query routing failed (${error.message}), falling back to keywords`);
+            return { ...keywordRoute(query, tools), source: 'keywords' };
+        }
+    }
+
+    // The query goes last: everything after "User query:" is the query
+    buildPrompt(query, tools) {
+        const descriptions = [RAG, ...tools, DIRECT].map(tool => {
+            const args = tool.arguments && tool.arguments.properties && Object.keys(tool.arguments.properties).length > 0
+                ? ` Arguments: ${JSON.stringify(tool.arguments.properties)}`
+                : '';
+            return `- ${tool.name}: ${tool.description}.${args}`;
+        }).join('\n');
+
+        return `You are a query analyzer for an assistant with these tools:
+${descriptions}
+Tool names: ${[RAG, ...tools, DIRECT].map(tool => tool.name).join(', ')}
+Pick the tools needed to answer the query and fill in the arguments of the tools you pick. Words inside other words or phrases ("email" for AI, "online sales" for a line chart) do not ask for a tool.
+
+Reply with only a JSON object:
+{"tools": ["RAG"], "arguments": {"<tool name>": {}}, "entities": ["topics, products or metrics named in the query"], "confidence": 0.0-1.0, "reasoning": "one sentence"}
+
+User query: ${query}`;
+    }
+
+    parseDecision(content, tools = []) {
+        const reply = parseJsonReply(content);
+
+        const names = [RAG, ...tools, DIRECT].map(tool => tool.name);
+        const selected = reply.tools;
+        if (!Array.isArray(selected) || selected.length === 0 || selected.some(name => !names.includes(name))) {
+            throw new Error(`"tools" must be a non-empty array of ${names.join(', ')}`);
+        }
+        if (new Set(selected).size !== selected.length || (selected.includes('Direct') && selected.length > 1)) {
+            throw new Error('"tools" must not repeat tools or combine Direct with others');
+        }
+
+        const replyArgs = reply.arguments === undefined ? {} : reply.arguments;
+        if (!replyArgs || typeof replyArgs !== 'object' || Array.isArray(replyArgs)) {
+            throw new Error('"arguments" must be an object');
+        }
+        const args = {};
+        for (const tool of tools.filter(item => selected.includes(item.name))) {
+            args[tool.name] = replyArgs[tool.name] === undefined ? {} : replyArgs[tool.name];
+            const { valid, errors } = tool.argumentValidator.validate(args[tool.name]);
+            if (!valid) {
+                throw new Error(`invalid arguments for ${tool.name}: ${errors.map(error => error.error).join(' ')}`);
+            }
+        }
+
+        const entities = reply.entities === undefined ? [] : reply.entities;
+        if (!Array.isArray(entities) || entities.some(entity => typeof entity !== 'string')) {
+            throw new Error('"entities" must be an array of strings');
+        }
+        if (typeof reply.confidence !== 'number' || reply.confidence < 0 || reply.confidence > 1) {
+            throw new Error('"confidence" must be a number between 0 and 1');
+        }
+        if (reply.reasoning !== undefined && typeof reply.reasoning !== 'string') {
+            throw new Error('"reasoning" must be a string');
+        }
+
+        return {
+            // Keep the order RAG, tools so the combined answer reads the same way
+            tools: names.filter(name => selected.includes(name)),
+            arguments: args,
+            entities: entities.map(entity => entity.trim()).filter(Boolean),
+            confidence: reply.confidence,
+            reasoning: (reply.reasoning || '').trim()
+        };
+    }
+}
+
+module.exports = {
+    QueryRouter
+};
@@ -2,75 +2,250 @@ const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { HumanMessage, AIMessage } = require('@langchain/core/messages');
 const WeaviateSetup = require('../database/weaviate-setup');
 const LLMConfig = require('../llm/llm-config');
+const { createReranker } = require('../rerankers');
+const QueryExpander = require('../retrieval/query-expander');
+const { reciprocalRankFusion } = require('../retrieval/reciprocal-rank-fusion');
+const TenantSettings = require('../config/tenant-settings');
+const { DEFAULT_COLLECTION } = require('../database/collections');
+
+// Rough token estimate for budgeting; ~4 characters per token for English text
+const CHARS_PER_TOKEN = 4;
 
 class RAGAgent {
-    constructor(weaviateSetup = null) {
+    constructor(weaviateSetup = null, options = {}) {
         this.weaviate = weaviateSetup || new WeaviateSetup();
         this.llm = new LLMConfig();
+        // Hybrid retrieval finds both paraphrases and exact terms such as product codes
+        this.searchOptions = {
+            mode: options.searchMode || 'hybrid',
+            alpha: options.alpha !== undefined ? options.alpha : 0.5
+        };
+
+        // Over-fetch candidates, rerank them and keep the best that fit the context budget
+        this.reranker = options.reranker !== undefined && typeof options.reranker !== 'string'
+            ? options.reranker
+            : createReranker(options.reranker, { llm: this.llm, embeddings: this.weaviate.embeddings });
+        this.rerankCandidates = options.rerankCandidates || parseInt(process.env.RERANK_CANDIDATES, 10) || 20;
+        this.contextDocuments = options.contextDocuments || parseInt(process.env.RERANK_TOP_N, 10) || 5;
+        this.contextTokenBudget = options.contextTokenBudget || parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 1500;
+
+        // Optional multi-query retrieval: LLM reformulations of the question (and,
+        // with hyde, a hypothetical answer) are searched too and the result
+        // lists fused with reciprocal rank fusion
+        this.queryExpander = options.queryExpander || new QueryExpander(this.llm, {
+            count: options.multiQueryCount || parseInt(process.env.MULTI_QUERY_COUNT, 10) || 3
+        });
+        this.multiQuery = options.multiQuery !== undefined ? options.multiQuery : process.env.MULTI_QUERY === 'true';
+        this.hyde = options.hyde !== undefined ? options.hyde : process.env.HYDE === 'true';
+
+        // Per-tenant minimum similarity; documents below it never reach the LLM
+        this.tenantSettings = options.tenantSettings || new TenantSettings();
+
+        // Collections searched for context, see ../database/collections
+        this.collections = options.collections ||
+            (process.env.RAG_COLLECTIONS ? process.env.RAG_COLLECTIONS.split(',').map(name => name.trim()) : [DEFAULT_COLLECTION]);
+    }
+
+    // Returns the context documents and the generated sub-queries, each
+    // { query, type: 'reformulation' | 'hyde', results }. options.multiQuery
+    // and options.hyde override the agent's defaults for one call, as does
+    // options.collections. Candidates below the tenant's minSimilarity are
+    // dropped; the closest of them are returned as nearMisses.
+    async retrieve(userQuery, tenant, filters, options = {}) {
+        const multiQuery = options.multiQuery !== undefined ? options.multiQuery : this.multiQuery;
+        const hyde = options.hyde !== undefined ? options.hyde : this.hyde;
+        const collections = options.collections || this.collections;
+        const limit = this.reranker ? this.rerankCandidates : this.contextDocuments;
+
+        const subQueries = [];
+        if (multiQuery || hyde) {
+            const expansion = await this.queryExpander.expand(userQuery, { hyde });
+            if (multiQuery) {
+                subQueries.push(...expansion.queries.map(query => ({ query, type: 'reformulation' })));
+            }
+            if (expansion.hypotheticalAnswer) {
+                subQueries.push({ query: expansion.hypotheticalAnswer, type: 'hyde' });
+            }
+        }
+
+        const [original, ...expanded] = await Promise.all([userQuery, ...subQueries.map(sub => sub.query)]
+            .map(query => this.weaviate.searchDocuments(query, tenant, limit, {
+                ...this.searchOptions,
+                filters,
+                collections,
+                // Rerankers comparing documents reuse the stored vectors instead of re-embedding
+                vectors: Boolean(this.reranker && this.reranker.usesVectors)
+            })));
+        subQueries.forEach((sub, index) => {
+            sub.results = expanded[index].length;
+        });
+
+        // Every document gets a title and content, whatever its collection
+        const candidates = (expanded.length > 0 ? reciprocalRankFusion([original, ...expanded], { limit }) : original)
+            .map(doc => ({ ...doc, ...this.weaviate.collections.describe(doc) }));
+
+        const { relevant, nearMisses } = this.applyThreshold(candidates, tenant);
+
+        // A flagged duplicate adds nothing when the document it copies was retrieved too
+        const retrieved = new Set(relevant.map(doc => doc.fileId));
+        const distinct = relevant.filter(doc => !doc.duplicateOf || !retrieved.has(doc.duplicateOf));
+
+        const ranked = this.reranker && distinct.length > 0
+            ? await this.reranker.rerank(userQuery, distinct, this.contextDocuments)
+            : distinct.slice(0, this.contextDocuments);
+
+        return { documents: this.fitToBudget(ranked), subQueries, nearMisses };
+    }
+
+    // Splits candidates by the tenant's minSimilarity. Keyword-only hits have
+    // no similarity and are always kept; a threshold of 0 disables the check.
+    applyThreshold(candidates, tenant) {
+        const { minSimilarity, nearMisses } = this.tenantSettings.get(tenant);
+        if (!minSimilarity) {
+            return { relevant: candidates, nearMisses: [] };
+        }
+
+        const relevant = candidates.filter(doc => doc.similarity == null || doc.similarity >= minSimilarity);
+        const misses = candidates
+            .filter(doc => doc.similarity != null && doc.similarity < minSimilarity)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, nearMisses)
+            .map(doc => ({ fileId: doc.fileId, collection: doc.collection, title: doc.title, similarity: doc.similarity }));
+
+        return { relevant, nearMisses: misses };
+    }
+
+    // Keeps documents in rank order while they fit the token budget; the
+    // best document is always kept so there is some context to answer from
+    fitToBudget(documents) {
+        const selected = [];
+        let tokens = 0;
+
+        for (const doc of documents) {
+            const cost = Math.ceil(this.weaviate.collections.formatContext(doc).length / CHARS_PER_TOKEN);
+            if (selected.length > 0 && tokens + cost > this.contextTokenBudget) {
+                continue;
+            }
+            selected.push(doc);
+            tokens += cost;
+        }
+        return selected;
     }
 
-    async processQuery(userQuery, tenant = 'tenant1') {
+    // options.filters narrows retrieval, e.g. { tags: 'policy', createdAt: { gte: '2025', lt: '2026' } };
+    // options.multiQuery and options.hyde switch query expansion on or off;
+    // options.collections picks the collections searched
+    async processQuery(userQuery, tenant = 'tenant1', options = {}) {
         try {
-            // Step 1: Search for relevant documents in Weaviate
-            const relevantDocs = await this.weaviate.searchDocuments(userQuery, tenant, 5);
+            // Step 1: Search for relevant documents in Weaviate and rerank them
+            const { documents: relevantDocs, subQueries, nearMisses } = await this.retrieve(userQuery, tenant, options.filters, options);
             
+            // Nothing close enough: answer with the near-misses instead of
+            // letting the LLM improvise from unrelated context
             if (!relevantDocs || relevantDocs.length === 0) {
                 return {
-                    answer: "I couldn't find any relevant information in the knowledge base for your query.",
-                    fileIds: [],
-                    references: []
+                    ...this.noAnswer(tenant, nearMisses),
+                    subQueries: subQueries
                 };
             }
 
-            // Step 2: Extract fileIds and prepare context
-            const fileIds = relevantDocs.map(doc => doc.fileId);
-            const context = relevantDocs.map(doc => 
-                `Question: ${doc.question}\nAnswer: ${doc.answer}`
-            ).join('\n\n');
-
-            // Step 3: Generate answer using LLM with context
-            const prompt = ChatPromptTemplate.fromMessages([
-                ['system', `You are a helpful AI assistant. Use the following context to answer the user's question. 
-                If the context doesn't contain enough information to answer the question, say so.
-                
-                Context:
-                {context}
-                
-                Answer the user's question based on the context provided.`],
-                ['human', '{question}']
-            ]);
-
-            const formattedPrompt = await prompt.formatMessages({
-                context: context,
-                question: userQuery
-            });
-
-            const response = await this.llm.invoke(formattedPrompt);
-            
-            // Step 4: Prepare references
-            const references = relevantDocs.map(doc => ({
-                fileId: doc.fileId,
-                question: doc.question,
-                answer: doc.answer,
-                tenant: doc.tenant
-            }));
-
+            // Steps 2-4: Answer from the documents
             return {
-                answer: response.content,
-                fileIds: fileIds,
-                references: references
+                ...await this.generate(userQuery, relevantDocs),
+                subQueries: subQueries,
+                noAnswer: null
             };
 
         } catch (error) {
             console.error('❌ Error in RAG agent:', error);
-            return {
-                answer: "I encountered an error while processing your query. Please try again.",
-                fileIds: [],
-                references: []
-            };
+            return this.errorResponse();
         }
     }
 
+    noAnswer(tenant, nearMisses) {
+        return {
+            answer: "I couldn't find any relevant information in the knowledge base for your query.",
+            fileIds: [],
+            references: [],
+            noAnswer: {
+                reason: nearMisses.length > 0 ? 'below_threshold' : 'no_results',
+                minSimilarity: this.tenantSettings.get(tenant).minSimilarity,
+                nearMisses: nearMisses
+            }
+        };
+    }
+
+    errorResponse() {
+        return {
+            answer: "I encountered an error while processing your query. Please try again.",
+            fileIds: [],
+            references: []
+        };
+    }
+
+    // Answers the question from retrieved documents, returning the answer,
+    // their fileIds and references. With options.onToken the answer is
+    // streamed from the LLM and every chunk passed to it as generated.
+    async generate(userQuery, relevantDocs, options = {}) {
+        // Step 2: Extract fileIds and prepare context, formatted per collection
+        const fileIds = relevantDocs.map(doc => doc.fileId);
+        const context = relevantDocs.map(doc => 
+            this.weaviate.collections.formatContext(doc)
+        ).join('\n\n');
+
+        // Step 3: Generate answer using LLM with context
+        const prompt = ChatPromptTemplate.fromMessages([
+            ['system', `You are a helpful AI assistant. Use the following context to answer the user's question. 
+            If the context doesn't contain enough information to answer the question, say so.
+            
+            Context:
+            {context}
+            
+            Answer the user's question based on the context provided.`],
+            ['human', '{question}']
+        ]);
+
+        const formattedPrompt = await prompt.formatMessages({
+            context: context,
+            question: userQuery
+        });
+
+        let answer = '';
+        if (options.onToken) {
+            for await (const chunk of this.llm.stream(formattedPrompt)) {
+                answer += chunk.content;
+                options.onToken(chunk.content);
+            }
+        } else {
+            answer = (await this.llm.invoke(formattedPrompt)).content;
+        }
+
+        return {
+            answer: answer,
+            fileIds: fileIds,
+            references: this.toReferences(relevantDocs)
+        };
+    }
+
+    // Step 4: Prepare references
+    toReferences(relevantDocs) {
+        return relevantDocs.map(doc => ({
+            fileId: doc.fileId,
+            collection: doc.collection,
+            title: doc.title,
+            question: doc.question !== undefined ? doc.question : null,
+            answer: doc.answer !== undefined ? doc.answer : null,
+            tenant: doc.tenant,
+            score: doc.score,
+            matchedBy: doc.matchedBy,
+            distance: doc.distance,
+            certainty: doc.certainty,
+            similarity: doc.similarity,
+            rerankScore: doc.rerankScore !== undefined ? doc.rerankScore : null,
+            fusionScore: doc.fusionScore !== undefined ? doc.fusionScore : null
+        }));
+    }
+
     async fetchDocumentsByFileIds(fileIds, tenant = 'tenant1') {
         try {
             const documents = await this.weaviate.fetchObjectsByFileIds(fileIds, tenant);
@@ -81,9 +256,12 @@ class RAGAgent {
         }
     }
 
-    async searchSimilarQuestions(query, tenant = 'tenant1', limit = 3) {
+    async searchSimilarQuestions(query, tenant = 'tenant1', limit = 3, options = {}) {
         try {
-            const similarDocs = await this.weaviate.searchDocuments(query, tenant, limit);
+            const similarDocs = await this.weaviate.searchDocuments(query, tenant, limit, {
+                ...this.searchOptions,
+                filters: options.filters
+            });
             return similarDocs.map(doc => ({
                 fileId: doc.fileId,
                 question: doc.question,
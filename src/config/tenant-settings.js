@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('../database/errors');
+require('dotenv').config();
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'data', 'tenant-settings.json');
+
+function number(env, name, fallback) {
+    if (env[name] === undefined || env[name] === '') {
+        return fallback;
+    }
+    const value = Number(env[name]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`${name} must be a number, got "${env[name]}"`);
+    }
+    return value;
+}
+
+function list(env, name) {
+    return (env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Per-tenant settings, persisted as { <tenant>: { minSimilarity, ... } }
+// in TENANT_SETTINGS_PATH (default data/tenant-settings.json). Tenants
+// without an entry use the defaults from the environment:
+//   MIN_SIMILARITY        - cosine similarity a document needs to be used as context (default 0, off)
+//   NO_ANSWER_NEAR_MISSES - near-misses returned when nothing passes (default 3)
+//   DISABLED_TOOLS        - comma-separated tools the router may not pick (default none)
+class TenantSettings {
+    constructor(options = {}) {
+        const env = options.env || process.env;
+        this.path = options.path || env.TENANT_SETTINGS_PATH || DEFAULT_PATH;
+        this.defaults = {
+            minSimilarity: number(env, 'MIN_SIMILARITY', 0),
+            nearMisses: number(env, 'NO_ANSWER_NEAR_MISSES', 3),
+            disabledTools: list(env, 'DISABLED_TOOLS')
+        };
+        this.validate(this.defaults);
+        this.tenants = this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.path)) {
+            return {};
+        }
+        try {
+            const tenants = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+            Object.values(tenants).forEach(settings => this.validate(settings));
+            return tenants;
+        } catch (error) {
+            throw new Error(`Invalid tenant settings file ${this.path}: ${error.message}`);
+        }
+    }
+
+    get(tenant) {
+        return { ...this.defaults, ...(this.tenants[tenant] || {}) };
+    }
+
+    // Merges `changes` into the tenant's overrides; null resets a setting
+    // to its default
+    update(tenant, changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new ValidationError('settings must be an object');
+        }
+        const unknown = Object.keys(changes).filter(key => !(key in this.defaults));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown settings: ${unknown.join(', ')}`);
+        }
+
+        const overrides = { ...(this.tenants[tenant] || {}) };
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete overrides[key];
+            } else {
+                overrides[key] = value;
+            }
+        }
+        this.validate(overrides);
+
+        if (Object.keys(overrides).length > 0) {
+            this.tenants[tenant] = overrides;
+        } else {
+            delete this.tenants[tenant];
+        }
+        this.save();
+        return this.get(tenant);
+    }
+
+    remove(tenant) {
+        if (this.tenants[tenant]) {
+            delete this.tenants[tenant];
+            this.save();
+        }
+    }
+
+    validate(settings) {
+        const { minSimilarity, nearMisses, disabledTools } = settings;
+        if (minSimilarity !== undefined && (typeof minSimilarity !== 'number' || minSimilarity < 0 || minSimilarity > 1)) {
+            throw new ValidationError('minSimilarity must be a number between 0 and 1');
+        }
+        if (nearMisses !== undefined && (!Number.isInteger(nearMisses) || nearMisses < 0)) {
+            throw new ValidationError('nearMisses must be a non-negative integer');
+        }
+        if (disabledTools !== undefined && (!Array.isArray(disabledTools) || disabledTools.some(tool => typeof tool !== 'string'))) {
+            throw new ValidationError('disabledTools must be an array of tool names');
+        }
+    }
+
+    // Written to a temporary file first so a crash never leaves half a file
+    save() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        const temporary = `${this.path}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.tenants, null, 2));
+        fs.renameSync(temporary, this.path);
+    }
+}
+
+module.exports = TenantSettings;
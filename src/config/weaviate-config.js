@@ -0,0 +1,56 @@
+require('dotenv').config();
+
+const DEFAULT_URL = 'http://localhost:8080';
+
+function integer(env, name, fallback) {
+    if (env[name] === undefined || env[name] === '') {
+        return fallback;
+    }
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative integer, got "${env[name]}"`);
+    }
+    return value;
+}
+
+// Weaviate connection settings from the environment:
+//   WEAVIATE_URL                    - e.g. http://localhost:8080 or https://my-cluster.weaviate.network;
+//                                     without a scheme, https is assumed except for localhost
+//   WEAVIATE_API_KEY                - API key, for Weaviate Cloud
+//   WEAVIATE_TIMEOUT_MS             - per-request timeout (default 10000)
+//   WEAVIATE_CONNECT_RETRIES        - extra connection attempts at startup (default 5)
+//   WEAVIATE_QUERY_RETRIES          - extra attempts after a transient request error (default 2)
+//   WEAVIATE_RETRY_DELAY_MS         - first backoff delay, doubled per attempt (default 500)
+//   WEAVIATE_MAX_RETRY_DELAY_MS     - backoff ceiling (default 10000)
+//   WEAVIATE_RECONNECT_INTERVAL_MS  - how often a lost connection is retried (default 30000)
+//   VECTOR_STORE_STRICT             - true: never fall back to the in-memory store
+function loadWeaviateConfig(env = process.env) {
+    let url = (env.WEAVIATE_URL || DEFAULT_URL).trim();
+    if (!/^https?:\/\//.test(url)) {
+        url = `${/^(localhost|127\.0\.0\.1)(:|$)/.test(url) ? 'http' : 'https'}://${url}`;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`WEAVIATE_URL is not a valid URL: "${env.WEAVIATE_URL}"`);
+    }
+
+    return {
+        scheme: parsed.protocol.replace(':', ''),
+        host: parsed.host,
+        apiKey: env.WEAVIATE_API_KEY || null,
+        timeoutMs: integer(env, 'WEAVIATE_TIMEOUT_MS', 10000),
+        connectRetries: integer(env, 'WEAVIATE_CONNECT_RETRIES', 5),
+        queryRetries: integer(env, 'WEAVIATE_QUERY_RETRIES', 2),
+        retryDelayMs: integer(env, 'WEAVIATE_RETRY_DELAY_MS', 500),
+        maxRetryDelayMs: integer(env, 'WEAVIATE_MAX_RETRY_DELAY_MS', 10000),
+        reconnectIntervalMs: integer(env, 'WEAVIATE_RECONNECT_INTERVAL_MS', 30000),
+        strict: env.VECTOR_STORE_STRICT === 'true'
+    };
+}
+
+module.exports = {
+    loadWeaviateConfig
+};
@@ -0,0 +1,45 @@
+// Long-form articles such as blog posts and documentation pages; ingested
+// files are split into chunks that keep the article title
+module.exports = {
+    name: 'Article',
+    description: 'Long-form articles, stored in chunks',
+    properties: [
+        {
+            name: 'title',
+            dataType: ['text'],
+            description: 'Title of the article or of the chunk\'s section',
+            indexInverted: true,
+            vectorizePropertyName: false
+        },
+        {
+            name: 'body',
+            dataType: ['text'],
+            description: 'Article text',
+            indexInverted: true,
+            vectorizePropertyName: false
+        },
+        {
+            name: 'author',
+            dataType: ['text'],
+            description: 'Author of the article',
+            tokenization: 'field',
+            indexInverted: true,
+            vectorizePropertyName: false
+        },
+        {
+            name: 'url',
+            dataType: ['text'],
+            description: 'Where the article is published',
+            tokenization: 'field',
+            indexInverted: false,
+            vectorizePropertyName: false
+        }
+    ],
+    textFields: ['title', 'body'],
+    titleField: 'title',
+    contentField: 'body',
+
+    formatContext(doc) {
+        return `Article: ${doc.title}${doc.author ? ` (by ${doc.author})` : ''}\n${doc.body}`;
+    }
+};
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const { ValidationError } = require('../errors');
+const { registerPropertyTypes } = require('../filters');
+const qaDocument = require('./qa-document');
+const article = require('./article');
+const product = require('./product');
+require('dotenv').config();
+
+const DEFAULT_COLLECTION = 'QADocument';
+const BUILT_IN_COLLECTIONS = [qaDocument, article, product];
+// Weaviate class names start with a capital letter
+const COLLECTION_NAME_PATTERN = /^[A-Z][A-Za-z0-9_]{0,63}$/;
+const PROPERTY_NAME_PATTERN = /^[a-z_][A-Za-z0-9_]*$/;
+const DATA_TYPES = ['text', 'string', 'text[]', 'int', 'number', 'date'];
+
+// Properties every collection has: ingestion, filters, duplicate detection
+// and snapshots rely on them
+const COMMON_PROPERTIES = [
+    {
+        name: 'fileId',
+        dataType: ['string'],
+        description: 'The identifier for each file',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'source',
+        dataType: ['text'],
+        description: 'Name of the ingested file the document was extracted from',
+        tokenization: 'field',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'chunkIndex',
+        dataType: ['int'],
+        description: 'Position of the chunk within its source file',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'page',
+        dataType: ['int'],
+        description: 'Page of the source file the chunk starts on (PDF only)',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'heading',
+        dataType: ['text'],
+        description: 'Closest heading above the chunk in the source file',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'tags',
+        dataType: ['text[]'],
+        description: 'Free-form labels used to narrow retrieval',
+        tokenization: 'field',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'createdAt',
+        dataType: ['date'],
+        description: 'When the document was written to the knowledge base',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'contentHash',
+        dataType: ['text'],
+        description: 'SHA-256 of the normalized text fields, for exact duplicate lookups',
+        tokenization: 'field',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'duplicateOf',
+        dataType: ['text'],
+        description: 'fileId of the document this one was flagged as a duplicate of',
+        tokenization: 'field',
+        indexInverted: true,
+        vectorizePropertyName: false
+    },
+    {
+        name: 'metadata',
+        dataType: ['text'],
+        description: 'Additional attributes as a JSON object',
+        indexInverted: false,
+        vectorizePropertyName: false
+    }
+];
+const COMMON_PROPERTY_NAMES = COMMON_PROPERTIES.map(property => property.name);
+
+// Document collections, each a multi-tenant Weaviate class. A definition is
+//   { name, description, properties (Weaviate property definitions),
+//     textFields (embedded, keyword-searched and hashed for duplicates),
+//     titleField, contentField, formatContext(doc) (optional) }
+// and gets the common properties on top of its own. QADocument is built
+// in, as are Article and Product; more can be registered in code or listed
+// in the JSON file at COLLECTIONS_PATH.
+class CollectionRegistry {
+    constructor(definitions = BUILT_IN_COLLECTIONS) {
+        this.collections = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    register(definition) {
+        const { name, properties, textFields, titleField, contentField } = definition || {};
+        if (typeof name !== 'string' || !COLLECTION_NAME_PATTERN.test(name)) {
+            throw new ValidationError(`Invalid collection name "${name}": start with a capital letter, then letters, digits or "_"`);
+        }
+        if (this.collections.has(name)) {
+            throw new ValidationError(`Collection "${name}" is already registered`);
+        }
+        if (!Array.isArray(properties) || properties.length === 0) {
+            throw new ValidationError(`Collection "${name}" needs at least one property`);
+        }
+
+        const types = {};
+        for (const property of properties) {
+            if (!property || typeof property.name !== 'string' || !PROPERTY_NAME_PATTERN.test(property.name)) {
+                throw new ValidationError(`Collection "${name}" has an invalid property name "${property && property.name}"`);
+            }
+            if (COMMON_PROPERTY_NAMES.includes(property.name)) {
+                throw new ValidationError(`Collection "${name}" redefines the common property "${property.name}"`);
+            }
+            const dataType = Array.isArray(property.dataType) ? property.dataType[0] : property.dataType;
+            if (!DATA_TYPES.includes(dataType)) {
+                throw new ValidationError(`Property ${name}.${property.name} has unsupported type "${dataType}". Use one of: ${DATA_TYPES.join(', ')}`);
+            }
+            types[property.name] = dataType;
+        }
+
+        const textProperties = Object.keys(types).filter(property => ['text', 'string'].includes(types[property]));
+        if (!Array.isArray(textFields) || textFields.length === 0 || textFields.some(field => !textProperties.includes(field))) {
+            throw new ValidationError(`Collection "${name}" needs textFields naming its text properties`);
+        }
+        for (const [key, field] of Object.entries({ titleField, contentField })) {
+            if (!textProperties.includes(field)) {
+                throw new ValidationError(`${key} of collection "${name}" must name one of its text properties`);
+            }
+        }
+
+        // Shared with every other collection, so filters stay type-checked
+        registerPropertyTypes(types);
+
+        const collection = {
+            description: `${name} documents`,
+            ...definition,
+            properties: properties.map(property => ({
+                ...property,
+                dataType: Array.isArray(property.dataType) ? property.dataType : [property.dataType]
+            })),
+            propertyNames: [...COMMON_PROPERTY_NAMES, ...Object.keys(types)]
+        };
+        this.collections.set(name, collection);
+        return collection;
+    }
+
+    get(name = DEFAULT_COLLECTION) {
+        const collection = this.collections.get(name);
+        if (!collection) {
+            throw new ValidationError(`Unknown collection "${name}". Use one of: ${this.names().join(', ')}`);
+        }
+        return collection;
+    }
+
+    list() {
+        return [...this.collections.values()];
+    }
+
+    names() {
+        return [...this.collections.keys()];
+    }
+
+    // Weaviate class definition of a collection
+    schema(name) {
+        const { description, properties } = this.get(name);
+        return {
+            class: name,
+            description,
+            // Each tenant gets its own shard, so data can never leak across tenants
+            multiTenancyConfig: { enabled: true },
+            properties: [...COMMON_PROPERTIES, ...properties],
+            vectorizer: 'none'
+        };
+    }
+
+    // Text that represents a document in vector space
+    getText(name, properties) {
+        return this.get(name).textFields.map(field => properties[field] || '').join('\n');
+    }
+
+    // { title, content } of a document returned by WeaviateSetup, whatever its collection
+    describe(doc) {
+        const { titleField, contentField } = this.get(doc.collection);
+        return { title: doc[titleField], content: doc[contentField] };
+    }
+
+    // How a document is shown to the LLM as context
+    formatContext(doc) {
+        const collection = this.get(doc.collection);
+        if (collection.formatContext) {
+            return collection.formatContext(doc);
+        }
+        const { title, content } = this.describe(doc);
+        return `${collection.name}: ${title}\n${content}`;
+    }
+
+    // Filters may only name properties the collection has
+    assertFilterable(name, filters) {
+        const { propertyNames } = this.get(name);
+        const unknown = Object.keys(filters || {}).filter(property => !propertyNames.includes(property));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Collection "${name}" has no ${unknown.map(property => `"${property}"`).join(', ')} to filter on`);
+        }
+    }
+}
+
+// The built-in collections plus those defined in the JSON array at COLLECTIONS_PATH
+function loadCollections(env = process.env) {
+    const registry = new CollectionRegistry();
+    if (env.COLLECTIONS_PATH) {
+        let definitions;
+        try {
+            definitions = JSON.parse(fs.readFileSync(env.COLLECTIONS_PATH, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid collections file ${env.COLLECTIONS_PATH}: ${error.message}`);
+        }
+        if (!Array.isArray(definitions)) {
+            throw new Error(`Collections file ${env.COLLECTIONS_PATH} must contain an array of definitions`);
+        }
+        definitions.forEach(definition => registry.register(definition));
+    }
+    return registry;
+}
+
+module.exports = {
+    CollectionRegistry,
+    loadCollections,
+    DEFAULT_COLLECTION,
+    COMMON_PROPERTIES
+};
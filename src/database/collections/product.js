@@ -0,0 +1,56 @@
+// Product catalog entries
+module.exports = {
+    name: 'Product',
+    description: 'Product catalog entries',
+    properties: [
+        {
+            name: 'name',
+            dataType: ['text'],
+            description: 'Product name',
+            indexInverted: true,
+            vectorizePropertyName: false
+        },
+        {
+            name: 'description',
+            dataType: ['text'],
+            description: 'Product description',
+            indexInverted: true,
+            vectorizePropertyName: false
+        },
+        {
+            name: 'sku',
+            dataType: ['text'],
+            description: 'Stock keeping unit, matched exactly by keyword search',
+            tokenization: 'field',
+            indexInverted: true,
+            vectorizePropertyName: false
+        },
+        {
+            name: 'category',
+            dataType: ['text'],
+            description: 'Catalog category',
+            tokenization: 'field',
+            indexInverted: true,
+            vectorizePropertyName: false
+        },
+        {
+            name: 'price',
+            dataType: ['number'],
+            description: 'Unit price',
+            indexInverted: true,
+            vectorizePropertyName: false
+        }
+    ],
+    textFields: ['name', 'description', 'sku'],
+    titleField: 'name',
+    contentField: 'description',
+
+    formatContext(doc) {
+        const details = [
+            doc.sku ? `SKU: ${doc.sku}` : null,
+            doc.category ? `Category: ${doc.category}` : null,
+            doc.price != null ? `Price: ${doc.price}` : null
+        ].filter(Boolean);
+        return `Product: ${doc.name}\n${details.length > 0 ? `${details.join(', ')}\n` : ''}${doc.description}`;
+    }
+};
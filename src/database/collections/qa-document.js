@@ -0,0 +1,28 @@
+// Question-answer pairs; the original collection, created by migrations
+module.exports = {
+    name: 'QADocument',
+    description: 'A class to store question-answer pairs',
+    properties: [
+        {
+            name: 'question',
+            dataType: ['text'],
+            description: 'The question being asked',
+            indexInverted: true,
+            vectorizePropertyName: true
+        },
+        {
+            name: 'answer',
+            dataType: ['text'],
+            description: 'The answer to the question',
+            indexInverted: true,
+            vectorizePropertyName: true
+        }
+    ],
+    textFields: ['question', 'answer'],
+    titleField: 'question',
+    contentField: 'answer',
+
+    formatContext(doc) {
+        return `Question: ${doc.question}\nAnswer: ${doc.answer}`;
+    }
+};
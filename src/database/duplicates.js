@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// What happens to a document that duplicates one already in the tenant:
+//   skip  - it is not stored
+//   merge - it is not stored; its tags are added to the matching document
+//   flag  - it is stored with duplicateOf set to the original's fileId
+//   allow - no detection at all
+const DUPLICATE_ACTIONS = ['skip', 'merge', 'flag', 'allow'];
+
+// Case and whitespace differences do not make a document new
+function normalizeContent(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Hash of a document's text fields (see ./collections), question and answer by default
+function contentHash(properties, fields = ['question', 'answer']) {
+    return crypto
+        .createHash('sha256')
+        .update(fields.map(field => normalizeContent(properties[field])).join('\n'))
+        .digest('hex');
+}
+
+module.exports = {
+    DUPLICATE_ACTIONS,
+    contentHash
+};
@@ -0,0 +1,83 @@
+// Errors raised by the database layer. `statusCode` lets the API routes
+// answer with a meaningful HTTP status instead of a generic 500.
+class DatabaseError extends Error {
+    constructor(message, statusCode = 500) {
+        super(message);
+        this.name = 'DatabaseError';
+        this.statusCode = statusCode;
+    }
+}
+
+class ValidationError extends DatabaseError {
+    constructor(message) {
+        super(message, 400);
+        this.name = 'ValidationError';
+    }
+}
+
+class DocumentNotFoundError extends DatabaseError {
+    constructor(fileId, tenant) {
+        super(`Document "${fileId}" does not exist in tenant "${tenant}"`, 404);
+        this.name = 'DocumentNotFoundError';
+        this.fileId = fileId;
+    }
+}
+
+class DocumentExistsError extends DatabaseError {
+    constructor(fileId, tenant) {
+        super(`Document "${fileId}" already exists in tenant "${tenant}"`, 409);
+        this.name = 'DocumentExistsError';
+        this.fileId = fileId;
+    }
+}
+
+class TenantError extends DatabaseError {
+    constructor(message, statusCode = 400) {
+        super(message, statusCode);
+        this.name = 'TenantError';
+    }
+}
+
+class TenantNotFoundError extends TenantError {
+    constructor(tenant) {
+        super(`Tenant "${tenant}" does not exist`, 404);
+        this.name = 'TenantNotFoundError';
+        this.tenant = tenant;
+    }
+}
+
+class TenantInactiveError extends TenantError {
+    constructor(tenant) {
+        super(`Tenant "${tenant}" is deactivated`, 409);
+        this.name = 'TenantInactiveError';
+        this.tenant = tenant;
+    }
+}
+
+class SessionNotFoundError extends DatabaseError {
+    constructor(sessionId, tenant) {
+        super(`Session "${sessionId}" does not exist in tenant "${tenant}"`, 404);
+        this.name = 'SessionNotFoundError';
+        this.sessionId = sessionId;
+    }
+}
+
+// The vector store cannot be reached; retrying later may succeed
+class StoreUnavailableError extends DatabaseError {
+    constructor(message) {
+        super(message, 503);
+        this.name = 'StoreUnavailableError';
+    }
+}
+
+module.exports = {
+    DatabaseError,
+    StoreUnavailableError,
+    ValidationError,
+    DocumentNotFoundError,
+    DocumentExistsError,
+    TenantError,
+    TenantNotFoundError,
+    TenantInactiveError,
+    SessionNotFoundError
+};
@@ -0,0 +1,186 @@
+const { ValidationError } = require('./errors');
+
+// Filterable properties and their Weaviate data types; collections add
+// their own through registerPropertyTypes (see ./collections)
+const PROPERTY_TYPES = {
+    fileId: 'string',
+    question: 'text',
+    answer: 'text',
+    source: 'text',
+    heading: 'text',
+    chunkIndex: 'int',
+    page: 'int',
+    tags: 'text[]',
+    createdAt: 'date',
+    contentHash: 'text',
+    duplicateOf: 'text'
+};
+
+const VALUE_KEYS = {
+    string: 'valueString',
+    text: 'valueText',
+    'text[]': 'valueText',
+    int: 'valueInt',
+    number: 'valueNumber',
+    date: 'valueDate'
+};
+
+const RANGE_OPERATORS = {
+    gt: 'GreaterThan',
+    gte: 'GreaterThanEqual',
+    lt: 'LessThan',
+    lte: 'LessThanEqual'
+};
+
+const RANGE_TYPES = ['int', 'number', 'date'];
+
+function toValue(property, value) {
+    const type = PROPERTY_TYPES[property];
+
+    if (type === 'int') {
+        if (!Number.isInteger(value)) {
+            throw new ValidationError(`Filter on "${property}" expects integers`);
+        }
+        return value;
+    }
+    if (type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new ValidationError(`Filter on "${property}" expects numbers`);
+        }
+        return value;
+    }
+    if (type === 'date') {
+        // Accepts anything Date can parse, e.g. "2025", "2025-06-30" or a full ISO timestamp
+        const date = new Date(typeof value === 'number' ? String(value) : value);
+        if (value === null || value === '' || isNaN(date.getTime())) {
+            throw new ValidationError(`Filter on "${property}" expects dates, got "${value}"`);
+        }
+        return date.toISOString();
+    }
+    if (typeof value !== 'string') {
+        throw new ValidationError(`Filter on "${property}" expects strings`);
+    }
+    return value;
+}
+
+function condition(property, operator, value) {
+    const valueKey = VALUE_KEYS[PROPERTY_TYPES[property]];
+    return {
+        path: [property],
+        operator,
+        // ContainsAny/ContainsAll take their values as e.g. valueTextArray
+        [Array.isArray(value) ? `${valueKey}Array` : valueKey]: value
+    };
+}
+
+function nonEmptyList(property, operator, values) {
+    if (!Array.isArray(values) || values.length === 0) {
+        throw new ValidationError(`"${operator}" filter on "${property}" needs a non-empty array`);
+    }
+    return values.map(value => toValue(property, value));
+}
+
+// Equality with any of the values. Matching any tag of a text[] property
+// maps to Weaviate's ContainsAny.
+function anyOf(property, values) {
+    const converted = nonEmptyList(property, 'in', values);
+    if (PROPERTY_TYPES[property] === 'text[]') {
+        return condition(property, 'ContainsAny', converted);
+    }
+    return converted.length === 1
+        ? condition(property, 'Equal', converted[0])
+        : { operator: 'Or', operands: converted.map(value => condition(property, 'Equal', value)) };
+}
+
+// Conditions from an operator object such as { gte: '2025-01-01', lt: '2026-01-01' }
+function operatorConditions(property, spec) {
+    const type = PROPERTY_TYPES[property];
+    const operands = [];
+
+    for (const [operator, value] of Object.entries(spec)) {
+        if (operator === 'eq') {
+            operands.push(condition(property, 'Equal', toValue(property, value)));
+        } else if (operator === 'in') {
+            operands.push(anyOf(property, value));
+        } else if (RANGE_OPERATORS[operator]) {
+            if (!RANGE_TYPES.includes(type)) {
+                throw new ValidationError(`Range filters only apply to numeric and date properties, not "${property}"`);
+            }
+            operands.push(condition(property, RANGE_OPERATORS[operator], toValue(property, value)));
+        } else if (operator === 'contains' || operator === 'containsAll') {
+            if (type !== 'text[]') {
+                throw new ValidationError(`"${operator}" only applies to tags, not "${property}"`);
+            }
+            operands.push(operator === 'contains'
+                ? condition(property, 'ContainsAny', [toValue(property, value)])
+                : condition(property, 'ContainsAll', nonEmptyList(property, operator, value)));
+        } else {
+            throw new ValidationError(`Unknown filter operator "${operator}" on "${property}"`);
+        }
+    }
+
+    if (operands.length === 0) {
+        throw new ValidationError(`Filter on "${property}" has no conditions`);
+    }
+    return operands;
+}
+
+// Translates a filters object into a Weaviate `where` clause.
+//   { source: 'faq.md' }                             -> source equals "faq.md"
+//   { fileId: ['doc001', 'doc002'] }                 -> fileId is any of the values
+//   { page: { in: [1, 2] } }                         -> same, in operator form
+//   { createdAt: { gte: '2025-01-01', lt: '2026' } } -> ranges (gt, gte, lt, lte) on int, number and date
+//   { tags: 'policy' } / { tags: { contains: 'policy' } }  -> has the tag
+//   { tags: ['hr', 'it'] }                           -> has any of the tags
+//   { tags: { containsAll: ['hr', 'policy'] } }      -> has every tag
+// All conditions are combined with And. Returns null for an empty filters object.
+function buildWhereFilter(filters = {}) {
+    if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new ValidationError('filters must be an object');
+    }
+
+    const operands = [];
+
+    for (const [property, value] of Object.entries(filters)) {
+        if (!PROPERTY_TYPES[property]) {
+            throw new ValidationError(`Cannot filter on unknown property "${property}"`);
+        }
+
+        if (Array.isArray(value)) {
+            operands.push(anyOf(property, value));
+        } else if (value !== null && typeof value === 'object') {
+            operands.push(...operatorConditions(property, value));
+        } else if (PROPERTY_TYPES[property] === 'text[]') {
+            operands.push(condition(property, 'ContainsAny', [toValue(property, value)]));
+        } else {
+            operands.push(condition(property, 'Equal', toValue(property, value)));
+        }
+    }
+
+    if (operands.length === 0) {
+        return null;
+    }
+    return operands.length === 1 ? operands[0] : { operator: 'And', operands };
+}
+
+// A property name means the same type in every collection, so one filters
+// object can be applied to several of them
+function registerPropertyTypes(types) {
+    for (const [property, type] of Object.entries(types)) {
+        if (!VALUE_KEYS[type]) {
+            throw new ValidationError(`Property "${property}" has unsupported type "${type}"`);
+        }
+        if (PROPERTY_TYPES[property] && PROPERTY_TYPES[property] !== type) {
+            throw new ValidationError(
+                `Property "${property}" is already registered as ${PROPERTY_TYPES[property]}, not ${type}`
+            );
+        }
+        PROPERTY_TYPES[property] = type;
+    }
+}
+
+module.exports = {
+    buildWhereFilter,
+    registerPropertyTypes,
+    PROPERTY_TYPES
+};
@@ -0,0 +1,74 @@
+// Creates the multi-tenant QADocument class. Installations that created the
+// class before migrations existed get any properties they are missing.
+module.exports = {
+    description: 'Create the QADocument class',
+
+    async up(context) {
+        await context.createOrExtendClass({
+            class: 'QADocument',
+            description: 'A class to store question-answer pairs',
+            // Each tenant gets its own shard, so data can never leak across tenants
+            multiTenancyConfig: { enabled: true },
+            properties: [
+                {
+                    name: 'fileId',
+                    dataType: ['string'],
+                    description: 'The identifier for each file',
+                    indexInverted: true,
+                    vectorizePropertyName: false
+                },
+                {
+                    name: 'question',
+                    dataType: ['text'],
+                    description: 'The question being asked',
+                    indexInverted: true,
+                    vectorizePropertyName: true
+                },
+                {
+                    name: 'answer',
+                    dataType: ['text'],
+                    description: 'The answer to the question',
+                    indexInverted: true,
+                    vectorizePropertyName: true
+                },
+                {
+                    name: 'source',
+                    dataType: ['text'],
+                    description: 'Name of the ingested file the document was extracted from',
+                    tokenization: 'field',
+                    indexInverted: true,
+                    vectorizePropertyName: false
+                },
+                {
+                    name: 'chunkIndex',
+                    dataType: ['int'],
+                    description: 'Position of the chunk within its source file',
+                    indexInverted: true,
+                    vectorizePropertyName: false
+                },
+                {
+                    name: 'page',
+                    dataType: ['int'],
+                    description: 'Page of the source file the chunk starts on (PDF only)',
+                    indexInverted: true,
+                    vectorizePropertyName: false
+                },
+                {
+                    name: 'heading',
+                    dataType: ['text'],
+                    description: 'Closest heading above the chunk in the source file',
+                    indexInverted: true,
+                    vectorizePropertyName: false
+                },
+                {
+                    name: 'metadata',
+                    dataType: ['text'],
+                    description: 'Additional attributes as a JSON object',
+                    indexInverted: false,
+                    vectorizePropertyName: false
+                }
+            ],
+            vectorizer: 'none'
+        });
+    }
+};
@@ -0,0 +1,21 @@
+module.exports = {
+    description: 'Add tags and createdAt to QADocument',
+
+    async up(context) {
+        await context.addProperty('QADocument', {
+            name: 'tags',
+            dataType: ['text[]'],
+            description: 'Free-form labels used to narrow retrieval',
+            tokenization: 'field',
+            indexInverted: true,
+            vectorizePropertyName: false
+        });
+        await context.addProperty('QADocument', {
+            name: 'createdAt',
+            dataType: ['date'],
+            description: 'When the document was written to the knowledge base',
+            indexInverted: true,
+            vectorizePropertyName: false
+        });
+    }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+    description: 'Add contentHash and duplicateOf to QADocument',
+
+    async up(context) {
+        await context.addProperty('QADocument', {
+            name: 'contentHash',
+            dataType: ['text'],
+            description: 'SHA-256 of the normalized question and answer, for exact duplicate lookups',
+            tokenization: 'field',
+            indexInverted: true,
+            vectorizePropertyName: false
+        });
+        await context.addProperty('QADocument', {
+            name: 'duplicateOf',
+            dataType: ['text'],
+            description: 'fileId of the document this one was flagged as a duplicate of',
+            tokenization: 'field',
+            indexInverted: true,
+            vectorizePropertyName: false
+        });
+    }
+};
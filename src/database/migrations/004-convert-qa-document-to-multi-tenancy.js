@@ -0,0 +1,27 @@
+// Installations that created QADocument before migrations existed may have a
+// class without multi-tenancy that keeps the tenant in a `tenant` property;
+// 001 only added the properties it was missing. Such a class is rebuilt as a
+// multi-tenant class with its current properties, less `tenant`, and every
+// object moves to the shard of its tenant.
+module.exports = {
+    description: 'Convert a QADocument class without multi-tenancy into tenant shards',
+
+    async up(context) {
+        if (await context.isMultiTenant('QADocument')) {
+            return;
+        }
+
+        const { description, vectorizer, properties } = await context.getClass('QADocument');
+        await context.rebuildClass({
+            class: 'QADocument',
+            description,
+            // Each tenant gets its own shard, so data can never leak across tenants
+            multiTenancyConfig: { enabled: true },
+            properties: properties.filter(property => property.name !== 'tenant'),
+            vectorizer
+        }, {
+            tenantOf: properties => properties.tenant,
+            transform: ({ tenant, ...properties }) => properties
+        });
+    }
+};
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_CLASS = 'SchemaMigration';
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+const COPY_PAGE_SIZE = 100;
+
+// Helpers handed to every migration's up(context)
+class MigrationContext {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async classExists(className) {
+        return this.client.schema.exists(className);
+    }
+
+    async getClass(className) {
+        return this.client.schema.classGetter().withClassName(className).do();
+    }
+
+    async createClass(definition) {
+        await this.client.schema.classCreator().withClass(definition).do();
+        console.log(`   ➕ Created class ${definition.class}`);
+    }
+
+    // Adds a property unless the class already has it
+    async addProperty(className, property) {
+        const existing = await this.getClass(className);
+        if ((existing.properties || []).some(p => p.name === property.name)) {
+            return false;
+        }
+
+        await this.client.schema
+            .propertyCreator()
+            .withClassName(className)
+            .withProperty(property)
+            .do();
+        console.log(`   ➕ Added property ${className}.${property.name}`);
+        return true;
+    }
+
+    async createOrExtendClass(definition) {
+        if (!await this.classExists(definition.class)) {
+            return this.createClass(definition);
+        }
+        for (const property of definition.properties) {
+            await this.addProperty(definition.class, property);
+        }
+    }
+
+    async isMultiTenant(className) {
+        const definition = await this.getClass(className);
+        return Boolean(definition.multiTenancyConfig && definition.multiTenancyConfig.enabled);
+    }
+
+    // Tenants of a class; null when the class is not multi-tenant
+    async listTenants(className) {
+        if (!await this.isMultiTenant(className)) {
+            return null;
+        }
+        return this.client.schema.tenantsGetter(className).do();
+    }
+
+    // Pages through the objects of a class (one tenant, or null for a class
+    // without multi-tenancy), calling fn with each page
+    async forEachPage(className, tenant, fn) {
+        let after = null;
+        while (true) {
+            let getter = this.client.data.getter()
+                .withClassName(className)
+                .withVector()
+                .withLimit(COPY_PAGE_SIZE);
+            if (tenant) getter = getter.withTenant(tenant);
+            if (after) getter = getter.withAfter(after);
+
+            const { objects = [] } = await getter.do();
+            if (objects.length === 0) {
+                return;
+            }
+            await fn(objects);
+            after = objects[objects.length - 1].id;
+        }
+    }
+
+    async countObjects(className) {
+        const tenants = await this.listTenants(className);
+        let count = 0;
+        for (const tenant of tenants ? tenants.map(t => t.name) : [null]) {
+            await this.forEachPage(className, tenant, async objects => {
+                count += objects.length;
+            });
+        }
+        return count;
+    }
+
+    // Copies every object (properties and vector) of one class into another.
+    // Objects of a multi-tenant class keep their tenant; objects of a class
+    // without multi-tenancy go to the tenant options.tenantOf(properties)
+    // names. options.transform may rewrite the properties of each object.
+    // Every batch result is checked, so the copy is complete or it throws.
+    async copyObjects(fromClass, toClass, options = {}) {
+        const { transform = properties => properties, tenantOf } = options;
+        const tenants = await this.listTenants(fromClass);
+        if (!tenants && !tenantOf && await this.isMultiTenant(toClass)) {
+            throw new Error(`${fromClass} is not multi-tenant; name the tenant of each object to copy it into ${toClass}`);
+        }
+
+        const targetTenants = new Set(((await this.listTenants(toClass)) || []).map(tenant => tenant.name));
+        const ensureTenants = async names => {
+            const missing = [...new Set(names)].filter(name => !targetTenants.has(name));
+            if (missing.length > 0) {
+                await this.client.schema.tenantsCreator(toClass, missing.map(name => ({ name }))).do();
+                missing.forEach(name => targetTenants.add(name));
+            }
+        };
+
+        let copied = 0;
+        for (const tenant of tenants ? tenants.map(t => t.name) : [null]) {
+            await this.forEachPage(fromClass, tenant, async objects => {
+                const batch = objects.map(object => {
+                    const target = tenant || (tenantOf ? tenantOf(object.properties) : null);
+                    if (tenantOf && !target) {
+                        throw new Error(`Object ${object.id} of ${fromClass} has no tenant`);
+                    }
+                    return {
+                        class: toClass,
+                        id: object.id,
+                        ...(target ? { tenant: target } : {}),
+                        properties: transform(object.properties),
+                        vector: object.vector
+                    };
+                });
+                await ensureTenants(batch.filter(object => object.tenant).map(object => object.tenant));
+
+                const results = await this.client.batch.objectsBatcher().withObjects(...batch).do();
+                const errors = (results || [])
+                    .filter(result => result.result && result.result.errors)
+                    .map(result => result.result.errors.error.map(error => error.message).join('; '));
+                if (errors.length > 0) {
+                    throw new Error(`Copying ${fromClass} to ${toClass} failed for ${errors.length} object(s): ${errors[0]}`);
+                }
+                copied += objects.length;
+            });
+        }
+
+        return copied;
+    }
+
+    async deleteClass(className) {
+        await this.client.schema.classDeleter().withClassName(className).do();
+    }
+
+    // For changes Weaviate cannot apply in place (data types, tokenization,
+    // index settings, multi-tenancy): copies the data into a staging class
+    // with the new definition, recreates the class and copies the data back,
+    // so the class keeps its name and object ids. options are those of
+    // copyObjects; tenantOf moves the objects of a class without
+    // multi-tenancy into tenant shards.
+    // The original class is only deleted once the staging class holds every
+    // object. If copying back fails the staging class is kept for recovery.
+    async rebuildClass(definition, options = {}) {
+        const className = definition.class;
+        const stagingClass = `${className}Rebuild`;
+
+        if (await this.classExists(stagingClass)) {
+            throw new Error(`Staging class ${stagingClass} exists from an interrupted rebuild; inspect and delete it first`);
+        }
+
+        const count = await this.countObjects(className);
+        await this.createClass({ ...definition, class: stagingClass });
+        try {
+            await this.copyObjects(className, stagingClass, options);
+            await this.assertCount(stagingClass, count);
+        } catch (error) {
+            await this.deleteClass(stagingClass);
+            throw new Error(`Rebuilding ${className} failed, the class is unchanged: ${error.message}`);
+        }
+
+        await this.deleteClass(className);
+        await this.createClass(definition);
+        try {
+            await this.copyObjects(stagingClass, className);
+            await this.assertCount(className, count);
+        } catch (error) {
+            throw new Error(`Copying ${stagingClass} back to ${className} failed; the data is kept in ${stagingClass}: ${error.message}`);
+        }
+        await this.deleteClass(stagingClass);
+
+        console.log(`   🔁 Rebuilt class ${className} (${count} objects re-indexed)`);
+        return count;
+    }
+
+    async assertCount(className, expected) {
+        const actual = await this.countObjects(className);
+        if (actual !== expected) {
+            throw new Error(`${className} holds ${actual} of ${expected} objects`);
+        }
+    }
+}
+
+// Applies the numbered files in ./migrations in order and records every
+// applied version in the SchemaMigration class, so each runs exactly once.
+class Migrator {
+    constructor(client, migrationsDir = path.join(__dirname, 'migrations')) {
+        this.client = client;
+        this.migrationsDir = migrationsDir;
+        this.context = new MigrationContext(client);
+    }
+
+    loadMigrations() {
+        return fs.readdirSync(this.migrationsDir)
+            .map(file => file.match(MIGRATION_FILE_PATTERN))
+            .filter(Boolean)
+            .map(([file, version, name]) => ({
+                version: parseInt(version, 10),
+                name,
+                ...require(path.join(this.migrationsDir, file))
+            }))
+            .sort((a, b) => a.version - b.version);
+    }
+
+    async ensureMigrationClass() {
+        if (await this.context.classExists(MIGRATION_CLASS)) {
+            return;
+        }
+
+        await this.context.createClass({
+            class: MIGRATION_CLASS,
+            description: 'Schema migrations applied to this Weaviate instance',
+            vectorizer: 'none',
+            properties: [
+                { name: 'version', dataType: ['int'] },
+                { name: 'name', dataType: ['text'] },
+                { name: 'appliedAt', dataType: ['date'] }
+            ]
+        });
+    }
+
+    async getAppliedMigrations() {
+        await this.ensureMigrationClass();
+
+        const result = await this.client.graphql
+            .get()
+            .withClassName(MIGRATION_CLASS)
+            .withFields('version name appliedAt')
+            .withLimit(10000)
+            .do();
+
+        return (result.data.Get[MIGRATION_CLASS] || []).sort((a, b) => a.version - b.version);
+    }
+
+    async status() {
+        const applied = new Map((await this.getAppliedMigrations()).map(m => [m.version, m]));
+        const migrations = this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            appliedAt: applied.has(migration.version) ? applied.get(migration.version).appliedAt : null
+        }));
+
+        return {
+            currentVersion: Math.max(0, ...applied.keys()),
+            latestVersion: Math.max(0, ...migrations.map(m => m.version)),
+            migrations
+        };
+    }
+
+    // Runs pending migrations, optionally only up to (and including) `to`
+    async up(options = {}) {
+        const applied = new Set((await this.getAppliedMigrations()).map(m => m.version));
+        const pending = this.loadMigrations().filter(migration =>
+            !applied.has(migration.version) && (options.to === undefined || migration.version <= options.to)
+        );
+
+        for (const migration of pending) {
+            console.log(`🔧 Applying migration ${migration.version}-${migration.name}: ${migration.description}`);
+            await migration.up(this.context);
+
+            await this.client.data.creator()
+                .withClassName(MIGRATION_CLASS)
+                .withProperties({
+                    version: migration.version,
+                    name: migration.name,
+                    appliedAt: new Date().toISOString()
+                })
+                .do();
+        }
+
+        return pending.map(migration => ({ version: migration.version, name: migration.name }));
+    }
+}
+
+module.exports = Migrator;
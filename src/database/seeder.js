@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures');
+const REQUIRED_FIELDS = ['fileId', 'question', 'answer'];
+const OPTIONAL_FIELDS = ['source', 'heading'];
+// Properties compared to decide whether a stored fixture document is stale
+const COMPARED_FIELDS = ['question', 'answer', 'source', 'heading', 'tags', 'metadata'];
+
+// Loads QA fixtures into tenants. Fixtures live in fixtures/<environment>/,
+// one <tenant>.json file per tenant holding an array of
+// { fileId, question, answer, source, heading, tags, createdAt, metadata }.
+// Seeding is idempotent: documents are upserted by fileId and unchanged
+// ones are not re-embedded.
+class Seeder {
+    constructor(weaviateSetup, options = {}) {
+        this.weaviateSetup = weaviateSetup;
+        this.environment = options.environment || process.env.SEED_ENV || process.env.NODE_ENV || 'development';
+        this.directory = path.join(options.directory || DEFAULT_FIXTURES_DIR, this.environment);
+    }
+
+    // Tenant name -> fixture documents, optionally for one tenant only
+    loadFixtures(tenant) {
+        const fixtures = new Map();
+        if (!fs.existsSync(this.directory)) {
+            return fixtures;
+        }
+
+        const files = fs.readdirSync(this.directory)
+            .filter(file => path.extname(file) === '.json')
+            .sort();
+
+        for (const file of files) {
+            const name = path.basename(file, '.json');
+            if (!tenant || name === tenant) {
+                fixtures.set(name, this.parseFixture(path.join(this.directory, file)));
+            }
+        }
+        return fixtures;
+    }
+
+    parseFixture(file) {
+        let documents;
+        try {
+            documents = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new ValidationError(`Invalid fixture file ${file}: ${error.message}`);
+        }
+        if (!Array.isArray(documents)) {
+            throw new ValidationError(`Fixture file ${file} must contain an array of documents`);
+        }
+
+        const fileIds = new Set();
+        return documents.map((document, index) => {
+            const missing = REQUIRED_FIELDS.filter(field => typeof document[field] !== 'string' || !document[field].trim());
+            if (missing.length > 0) {
+                throw new ValidationError(`Fixture ${index + 1} in ${file} is missing ${missing.join(', ')}`);
+            }
+            if (fileIds.has(document.fileId)) {
+                throw new ValidationError(`Fixture file ${file} contains fileId "${document.fileId}" twice`);
+            }
+            fileIds.add(document.fileId);
+
+            const properties = {};
+            for (const field of [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS]) {
+                if (document[field] !== undefined) properties[field] = document[field];
+            }
+            const tags = this.weaviateSetup.normalizeTags(document.tags);
+            if (tags.length > 0) properties.tags = tags;
+            const createdAt = this.weaviateSetup.normalizeDate(document.createdAt);
+            if (createdAt) properties.createdAt = createdAt;
+            if (document.metadata !== undefined) properties.metadata = JSON.stringify(document.metadata);
+            return properties;
+        });
+    }
+
+    // Upserts the fixtures of every tenant (or only `options.tenant`),
+    // creating missing tenants. With options.reset the tenant is deleted
+    // first, so it holds exactly its fixtures afterwards.
+    async seed(options = {}) {
+        const fixtures = this.loadFixtures(options.tenant);
+        if (options.tenant && !fixtures.has(options.tenant)) {
+            throw new ValidationError(`No fixtures for tenant "${options.tenant}" in ${this.directory}`);
+        }
+
+        const results = [];
+        for (const [tenant, documents] of fixtures) {
+            if (options.reset && (await this.weaviateSetup.listTenants()).some(existing => existing.name === tenant)) {
+                await this.weaviateSetup.deleteTenant(tenant);
+            }
+            await this.weaviateSetup.createTenants([tenant]);
+            results.push(await this.seedTenant(tenant, documents));
+        }
+        return results;
+    }
+
+    async seedTenant(tenant, documents) {
+        const stored = new Map();
+        for (const object of await this.weaviateSetup.store.fetchByIds(tenant, documents.map(doc => doc.fileId))) {
+            const { fileId } = object.properties;
+            stored.set(fileId, [...(stored.get(fileId) || []), object]);
+        }
+
+        const changed = documents.filter(document => {
+            const objects = stored.get(document.fileId);
+            return !objects || objects.length > 1 || !this.isUnchanged(document, objects[0].properties);
+        });
+
+        const summary = await this.weaviateSetup.importDocuments(
+            changed.map((properties, index) => ({ row: index + 1, tenant, properties })),
+            { onExisting: 'upsert', onDuplicate: 'allow' }
+        );
+
+        const result = {
+            tenant,
+            inserted: summary.inserted,
+            updated: summary.updated,
+            unchanged: documents.length - changed.length,
+            failed: summary.failed.map(({ fileId, reason }) => ({ fileId, reason }))
+        };
+        console.log(`🌱 Seeded ${tenant}: ${result.inserted} inserted, ${result.updated} updated, ` +
+            `${result.unchanged} unchanged${result.failed.length > 0 ? `, ${result.failed.length} failed` : ''}`);
+        return result;
+    }
+
+    isUnchanged(document, properties) {
+        const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+        const tags = (value) => (value && value.length > 0 ? value : null);
+
+        return COMPARED_FIELDS.every(field => (field === 'tags'
+            ? same(tags(document.tags), tags(properties.tags))
+            : same(document[field], properties[field]))) &&
+            (!document.createdAt || new Date(document.createdAt).getTime() === new Date(properties.createdAt).getTime());
+    }
+}
+
+module.exports = Seeder;
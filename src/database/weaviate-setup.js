@@ -1,328 +1,1202 @@
-const weaviate = require('weaviate-ts-client');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { createEmbeddings } = require('../embeddings');
+const { createVectorStore, InMemoryVectorStore } = require('../vector-stores');
+const { extractText, assertFormat } = require('../ingestion/text-extractor');
+const { chunkSections, chunkOptions } = require('../ingestion/chunker');
+const { buildWhereFilter } = require('./filters');
+const { loadCollections, DEFAULT_COLLECTION } = require('./collections');
+const { DUPLICATE_ACTIONS, contentHash } = require('./duplicates');
+const { cosineSimilarity } = require('../utils/vectors');
+const {
+    DatabaseError,
+    ValidationError,
+    DocumentNotFoundError,
+    DocumentExistsError,
+    TenantError,
+    TenantNotFoundError,
+    TenantInactiveError
+} = require('./errors');
 require('dotenv').config();
 
+const TENANT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+const MAX_SEARCH_LIMIT = 100;
+const EDITABLE_PROPERTIES = ['question', 'answer', 'source', 'heading', 'tags'];
+const BATCH_SIZE = 100;
+const SNAPSHOT_VERSION = 1;
+const RESTORE_MODES = ['create', 'merge', 'overwrite'];
+// Nearest neighbours compared per document when looking for near-duplicates
+const DUPLICATE_CANDIDATES = 5;
+
+// Writes one JSONL line, waiting for the stream to drain when its buffer is full
+async function writeLine(output, value) {
+    if (!output.write(`${JSON.stringify(value)}\n`)) {
+        await once(output, 'drain');
+    }
+}
+
 class WeaviateSetup {
-    constructor() {
-        this.client = null;
+    constructor(options = {}) {
+        // Where objects and vectors live, see ../vector-stores
+        this.store = options.store || null;
+        // Strict mode never replaces an unreachable store with the in-memory one
+        this.strict = options.strict !== undefined ? options.strict : process.env.VECTOR_STORE_STRICT === 'true';
+        this.fallback = false;
+        // Vectors are computed here on insert and query since the class has no vectorizer module
+        this.embeddings = options.embeddings || createEmbeddings();
+        // Registered document collections, see ./collections
+        this.collections = options.collections || loadCollections();
+        // Tenant name -> activity status, refreshed from Weaviate on a miss
+        this.tenantCache = new Map();
+        // Duplicate handling on ingest, see ./duplicates.js. Documents whose
+        // vectors are at least this cosine-similar count as near-duplicates.
+        this.duplicateAction = options.duplicateAction || process.env.DUPLICATE_ACTION || 'flag';
+        this.duplicateThreshold = options.duplicateThreshold ||
+            parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.95;
+    }
+
+    // Text that represents a document in vector space
+    getDocumentText(document, collection = DEFAULT_COLLECTION) {
+        return this.collections.getText(collection, document);
     }
 
+    // Connects the configured vector store (VECTOR_STORE, default weaviate).
+    // If Weaviate is unreachable the in-memory store takes over for the life
+    // of the process, so the app keeps working offline with real, if not
+    // durable, data. In strict mode (VECTOR_STORE_STRICT=true) it throws instead.
     async initialize() {
+        console.log('🔧 Initializing vector store...');
+        if (!this.store) {
+            this.store = createVectorStore();
+        }
+
+        try {
+            await this.store.connect();
+            return true;
+        } catch (error) {
+            if (this.store instanceof InMemoryVectorStore || this.strict) {
+                throw error;
+            }
+            console.warn(`⚠️ ${error.message}`);
+            console.warn('⚠️ Falling back to the in-memory vector store: data is not shared with Weaviate ' +
+                'and is lost on restart unless VECTOR_STORE_PATH is set. Set VECTOR_STORE_STRICT=true to refuse instead.');
+            this.store.close();
+            this.store = new InMemoryVectorStore({ filePath: process.env.VECTOR_STORE_PATH });
+            this.fallback = true;
+            await this.store.connect();
+            return true;
+        }
+    }
+
+    // Brings the schema up to date, e.g. by applying pending Weaviate migrations
+    // and creating the classes of registered collections.
+    // Failures are logged, except in strict mode where they are thrown.
+    async createSchema() {
         try {
-            console.log('🔧 Initializing Weaviate client...');
-            
-            // First try local Weaviate
-            console.log('🏠 Trying local Weaviate first...');
+            await this.store.ensureSchema(this.collections.names().map(name => this.collections.schema(name)));
+            return true;
+        } catch (error) {
+            if (this.strict) {
+                throw error;
+            }
+            console.error('❌ Error creating schema:', error);
+            return false;
+        }
+    }
+
+    // Which store serves requests and whether it can be reached
+    storeStatus() {
+        return {
+            name: this.store ? this.store.name : null,
+            available: Boolean(this.store && this.store.isAvailable()),
+            fallback: this.fallback,
+            strict: this.strict
+        };
+    }
+
+    close() {
+        if (this.store) {
+            this.store.close();
+        }
+    }
+
+    async listTenants() {
+        const tenants = await this.store.listTenants();
+
+        this.tenantCache = new Map(tenants.map(tenant => [tenant.name, tenant.activityStatus]));
+        return tenants;
+    }
+
+    async createTenants(names) {
+        for (const name of names) {
+            if (!TENANT_NAME_PATTERN.test(name)) {
+                throw new TenantError(`Invalid tenant name "${name}": use 1-64 letters, digits, "-" or "_"`);
+            }
+        }
+
+        const existing = new Set((await this.listTenants()).map(tenant => tenant.name));
+        const missing = names.filter(name => !existing.has(name));
+
+        if (missing.length > 0) {
+            await this.store.createTenants(missing);
+            missing.forEach(name => this.tenantCache.set(name, 'HOT'));
+            console.log(`✅ Created tenants: ${missing.join(', ')}`);
+        }
+
+        return missing;
+    }
+
+    async deactivateTenant(name) {
+        return this.setTenantStatus(name, 'COLD');
+    }
+
+    async activateTenant(name) {
+        return this.setTenantStatus(name, 'HOT');
+    }
+
+    async setTenantStatus(name, activityStatus) {
+        await this.assertTenantExists(name);
+        await this.store.setTenantStatus(name, activityStatus);
+        this.tenantCache.set(name, activityStatus);
+        return { name, activityStatus };
+    }
+
+    async deleteTenant(name) {
+        await this.assertTenantExists(name);
+        await this.store.deleteTenant(name);
+        this.tenantCache.delete(name);
+        console.log(`🗑️ Deleted tenant ${name}`);
+        return true;
+    }
+
+    async assertTenantExists(tenant) {
+        if (!this.tenantCache.has(tenant)) {
+            await this.listTenants();
+        }
+        if (!this.tenantCache.has(tenant)) {
+            throw new TenantNotFoundError(tenant);
+        }
+    }
+
+    // Throws unless the tenant exists and is active, so a typo in a tenant
+    // name never falls through to another tenant's data
+    async assertTenant(tenant) {
+        if (this.tenantCache.get(tenant) !== 'HOT') {
+            await this.listTenants();
+        }
+        if (!this.tenantCache.has(tenant)) {
+            throw new TenantNotFoundError(tenant);
+        }
+        if (this.tenantCache.get(tenant) !== 'HOT') {
+            throw new TenantInactiveError(tenant);
+        }
+    }
+
+    // Writes every object of a tenant (properties, metadata and vector) to a
+    // writable stream as a JSONL snapshot: a header line, then one
+    // { id, collection, properties, vector } line per object, collection by
+    // collection. The caller ends the stream.
+    async exportTenant(tenant, output) {
+        await this.assertTenant(tenant);
+
+        await writeLine(output, {
+            type: 'snapshot',
+            version: SNAPSHOT_VERSION,
+            tenant,
+            exportedAt: new Date().toISOString()
+        });
+
+        let count = 0;
+        for (const collection of this.collections.names()) {
+            let after = null;
+            while (true) {
+                const objects = await this.store.scan(tenant, { after, limit: BATCH_SIZE, collection });
+                if (objects.length === 0) {
+                    break;
+                }
+                for (const { id, properties, vector } of objects) {
+                    await writeLine(output, { id, collection, properties, vector });
+                }
+                count += objects.length;
+                after = objects[objects.length - 1].id;
+            }
+        }
+
+        console.log(`📦 Exported ${count} objects from ${tenant}`);
+        return { tenant, objects: count };
+    }
+
+    // Restores a snapshot written by exportTenant from a readable stream.
+    // Objects without a collection (older snapshots) go to QADocument.
+    // Options:
+    //   tenant  - restore under this name instead of the snapshot's tenant
+    //   mode    - when the tenant exists: create (refuse, default), merge (add
+    //             objects, replacing those with the same id) or overwrite
+    //             (delete the tenant first)
+    //   reembed - recompute vectors with the current embedding provider, for
+    //             snapshots taken with a different one
+    async restoreTenant(input, options = {}) {
+        const { mode = 'create', reembed = false, batchSize = BATCH_SIZE } = options;
+        if (!RESTORE_MODES.includes(mode)) {
+            throw new ValidationError(`Invalid restore mode "${mode}". Use one of: ${RESTORE_MODES.join(', ')}`);
+        }
+
+        // The whole snapshot is read and checked before the target is touched,
+        // so a corrupt or cut-off file never leaves a tenant half restored
+        const { header, objects } = await this.readSnapshot(input);
+        const target = options.tenant || header.tenant;
+        await this.prepareRestoreTarget(target, mode, reembed ? [] : objects);
+
+        let restored = 0;
+        for (let start = 0; start < objects.length; start += batchSize) {
+            const batch = objects.slice(start, start + batchSize);
+            const errors = [];
+            for (const collection of new Set(batch.map(object => object.collection))) {
+                const group = batch.filter(object => object.collection === collection);
+                errors.push(...(reembed
+                    ? await this.writeObjects(group.map(({ id, properties }) => ({ id, properties })), target, { batchSize, collection })
+                    : await this.store.insert(target, group, { collection })));
+            }
+            const failures = errors.filter(error => error !== null);
+            if (failures.length > 0) {
+                throw new DatabaseError(`Failed to restore ${failures.length} object(s): ${failures[0]}`);
+            }
+            restored += batch.length;
+        }
+
+        console.log(`📦 Restored ${restored} objects from ${header.tenant} into ${target} (${mode})`);
+        return { tenant: target, source: header.tenant, mode, restored };
+    }
+
+    async readSnapshot(input) {
+        let header = null;
+        const objects = [];
+        let lineNumber = 0;
+
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+            lineNumber++;
+            if (!line.trim()) {
+                continue;
+            }
+
+            let record;
             try {
-                this.client = weaviate.default.client({
-                    scheme: 'http',
-                    host: 'localhost:8080',
+                record = JSON.parse(line);
+            } catch (error) {
+                throw new ValidationError(`Invalid snapshot line ${lineNumber}: ${error.message}`);
+            }
+
+            if (!header) {
+                if (record.type !== 'snapshot' || record.version !== SNAPSHOT_VERSION) {
+                    throw new ValidationError('Not a tenant snapshot: missing or unsupported header');
+                }
+                header = record;
+                continue;
+            }
+
+            if (!record.id || !record.properties || !record.properties.fileId) {
+                throw new ValidationError(`Invalid snapshot line ${lineNumber}: expected { id, properties, vector }`);
+            }
+            const collection = this.collections.get(record.collection || DEFAULT_COLLECTION).name;
+            objects.push({ id: record.id, collection, properties: record.properties, vector: record.vector });
+        }
+
+        if (!header) {
+            throw new ValidationError('Snapshot is empty');
+        }
+        return { header, objects };
+    }
+
+    async prepareRestoreTarget(tenant, mode, objects) {
+        if (objects.length > 0) {
+            const dimensions = (await this.embeddings.embedQuery('dimension check')).length;
+            if (objects.some(object => !Array.isArray(object.vector) || object.vector.length !== dimensions)) {
+                throw new ValidationError(
+                    `Snapshot vectors do not match the current embedding provider (${dimensions} dimensions); restore with reembed`
+                );
+            }
+        }
+
+        const exists = (await this.listTenants()).some(existing => existing.name === tenant);
+        if (exists && mode === 'create') {
+            throw new TenantError(`Tenant "${tenant}" already exists; restore with mode merge or overwrite`, 409);
+        }
+
+        if (exists && mode === 'overwrite') {
+            await this.deleteTenant(tenant);
+        }
+        if (!exists || mode === 'overwrite') {
+            await this.createTenants([tenant]);
+        }
+        await this.assertTenant(tenant);
+    }
+
+    // Extracts, chunks, embeds and stores files for a tenant. Each input is
+    // { fileName, buffer, mimeType } for uploads or { text, source, format }
+    // for raw text; an optional fileId replaces the generated one.
+    // Chunks go to options.collection (default QADocument) and those that
+    // duplicate stored ones are handled per options.onDuplicate.
+    async ingestDocuments(inputs, tenant = 'tenant1', options = {}) {
+        const { name: collection } = this.collections.get(options.collection);
+        // Options and formats are checked before any file is read
+        chunkOptions(options);
+        inputs.forEach(input => assertFormat(input.format));
+        await this.assertTenant(tenant);
+        await this.assertNewFileIds(inputs.map(input => input.fileId).filter(Boolean), tenant);
+
+        const prepared = await this.prepareFiles(inputs, options);
+        const objects = this.toChunkObjects(prepared, collection);
+        const { objects: accepted, duplicates } = await this.resolveDuplicates(objects, tenant, {
+            action: options.onDuplicate,
+            threshold: options.duplicateThreshold,
+            collection
+        });
+
+        await this.insertObjects(accepted, tenant, { collection });
+        console.log(`✅ Ingested ${prepared.length} file(s) as ${accepted.length} chunks for ${tenant}` +
+            (duplicates.length > 0 ? ` (${duplicates.length} duplicate chunk(s))` : ''));
+
+        return prepared.map(file => ({
+            fileId: file.fileId,
+            collection,
+            source: file.source,
+            format: file.format,
+            chunks: file.chunks.length,
+            duplicates: duplicates
+                .filter(duplicate => duplicate.fileId === file.fileId)
+                .map(({ index, fileId, ...duplicate }) => ({ chunkIndex: objects[index].properties.chunkIndex, ...duplicate }))
+        }));
+    }
+
+    // Checks objects about to be inserted against the tenant and against each
+    // other: exact duplicates share a content hash, near-duplicates have
+    // vectors at least `threshold` cosine-similar. Chunks of the same fileId
+    // never count as duplicates of each other.
+    // Returns the objects to insert (embedded, flagged ones carrying
+    // duplicateOf) and one { index, fileId, duplicateOf, match, similarity,
+    // action } entry per duplicate found.
+    async resolveDuplicates(objects, tenant, options = {}) {
+        const action = options.action || this.duplicateAction;
+        const threshold = options.threshold !== undefined ? options.threshold : this.duplicateThreshold;
+        const { name: collection, textFields } = this.collections.get(options.collection);
+        this.validateDuplicateOptions(action, threshold);
+
+        if (action === 'allow' || objects.length === 0) {
+            return { objects, duplicates: [] };
+        }
+
+        await this.embedObjects(objects, collection);
+        const hashes = objects.map(object => contentHash(object.properties, textFields));
+        const storedByHash = await this.findObjectsByHash([...new Set(hashes)], tenant, collection);
+
+        const accepted = [];
+        const duplicates = [];
+        for (const [index, object] of objects.entries()) {
+            const { fileId } = object.properties;
+            const other = (candidate) => candidate.properties.fileId !== fileId;
+
+            let match = null;
+            const exact = (storedByHash.get(hashes[index]) || []).find(other) ||
+                          accepted.find(candidate => other(candidate) && candidate.hash === hashes[index]);
+            if (exact) {
+                match = { target: exact, match: 'exact', similarity: 1 };
+            } else {
+                match = await this.findNearDuplicate(object, tenant, threshold, accepted.filter(other), collection);
+            }
+
+            if (!match) {
+                accepted.push({ ...object, hash: hashes[index] });
+                continue;
+            }
+
+            const { target } = match;
+            duplicates.push({
+                index,
+                fileId,
+                duplicateOf: target.properties.duplicateOf || target.properties.fileId,
+                match: match.match,
+                similarity: match.similarity,
+                action
+            });
+
+            if (action === 'flag') {
+                accepted.push({
+                    ...object,
+                    hash: hashes[index],
+                    properties: { ...object.properties, duplicateOf: target.properties.duplicateOf || target.properties.fileId }
                 });
-                
-                // Test the connection
-                await this.client.misc.metaGetter().do();
-                console.log('✅ Weaviate local client initialized successfully');
-                return true;
-            } catch (localError) {
-                console.warn('⚠️ Local Weaviate connection failed:', localError.message);
-                
-                // Try Weaviate Cloud if credentials are available
-                if (process.env.WEAVIATE_URL && process.env.WEAVIATE_API_KEY) {
-                    console.log('🌐 Trying Weaviate Cloud...');
-                    try {
-                        const host = process.env.WEAVIATE_URL.replace('https://', '').replace('http://', '');
-                        this.client = weaviate.default.client({
-                            scheme: 'https',
-                            host: host,
-                            authClientSecret: new weaviate.ApiKey(process.env.WEAVIATE_API_KEY),
-                        });
-                        
-                        // Test the connection
-                        await this.client.misc.metaGetter().do();
-                        console.log('✅ Weaviate cloud client initialized successfully');
-                        return true;
-                    } catch (cloudError) {
-                        console.warn('⚠️ Weaviate Cloud connection failed:', cloudError.message);
+            } else if (action === 'merge') {
+                await this.mergeTags(target, object.properties.tags, tenant, collection);
+            }
+        }
+
+        return { objects: accepted.map(({ hash, ...object }) => object), duplicates };
+    }
+
+    validateDuplicateOptions(action, threshold) {
+        if (!DUPLICATE_ACTIONS.includes(action)) {
+            throw new ValidationError(`Invalid duplicate action "${action}". Use one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+        }
+        if (typeof threshold !== 'number' || !(threshold > 0 && threshold <= 1)) {
+            throw new ValidationError('Duplicate threshold must be a number greater than 0 and at most 1');
+        }
+    }
+
+    // Most similar stored object, or object accepted earlier in the same
+    // batch, that reaches the threshold
+    async findNearDuplicate(object, tenant, threshold, pending, collection = DEFAULT_COLLECTION) {
+        const { fileId } = object.properties;
+        const hits = await this.store.search(tenant, {
+            mode: 'vector',
+            vector: object.vector,
+            limit: DUPLICATE_CANDIDATES,
+            properties: this.collections.get(collection).textFields,
+            collection
+        });
+
+        const candidates = [
+            ...hits
+                .filter(hit => hit.properties.fileId !== fileId)
+                .map(hit => ({ target: hit, similarity: 1 - hit.distance })),
+            ...pending.map(candidate => ({ target: candidate, similarity: cosineSimilarity(object.vector, candidate.vector) }))
+        ].filter(candidate => candidate.similarity >= threshold);
+
+        if (candidates.length === 0) {
+            return null;
+        }
+        const best = candidates.reduce((a, b) => (b.similarity > a.similarity ? b : a));
+        return { ...best, match: 'near' };
+    }
+
+    // Groups the documents of a tenant into clusters of duplicates within each
+    // collection, including ones stored before detection existed or with
+    // onDuplicate 'allow'.
+    // Each cluster names the oldest document as canonical; every other
+    // document lists how it matched and its highest similarity to a
+    // document in the cluster. Runs one vector search per stored object.
+    async findDuplicateClusters(tenant, options = {}) {
+        const threshold = options.threshold !== undefined ? options.threshold : this.duplicateThreshold;
+        this.validateDuplicateOptions('flag', threshold);
+        await this.assertTenant(tenant);
+
+        // Union-find over object ids
+        const parent = new Map();
+        const root = (id) => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        const objects = new Map();
+        const best = new Map();
+        const link = (a, b, match, similarity) => {
+            parent.set(root(a), root(b));
+            for (const id of [a, b]) {
+                const current = best.get(id);
+                if (!current || similarity > current.similarity || match === 'exact') {
+                    best.set(id, { match, similarity });
+                }
+            }
+        };
+
+        // Documents are compared within their collection, on its text fields
+        const idsByHash = new Map();
+        for (const collection of this.collections.names()) {
+            const { textFields } = this.collections.get(collection);
+            let after;
+            let page;
+            do {
+                page = await this.store.scan(tenant, { after, limit: BATCH_SIZE, collection });
+                for (const object of page) {
+                    objects.set(object.id, { collection, properties: object.properties });
+                    if (!parent.has(object.id)) {
+                        parent.set(object.id, object.id);
+                    }
+
+                    const hash = `${collection}:${object.properties.contentHash || contentHash(object.properties, textFields)}`;
+                    if (!idsByHash.has(hash)) {
+                        idsByHash.set(hash, []);
+                    }
+                    idsByHash.get(hash).push(object.id);
+
+                    const hits = await this.store.search(tenant, {
+                        mode: 'vector',
+                        vector: object.vector,
+                        limit: DUPLICATE_CANDIDATES,
+                        collection,
+                        properties: textFields
+                    });
+                    for (const hit of hits) {
+                        const similarity = 1 - hit.distance;
+                        if (hit.properties.fileId !== object.properties.fileId && similarity >= threshold) {
+                            if (!parent.has(hit.id)) {
+                                parent.set(hit.id, hit.id);
+                            }
+                            link(object.id, hit.id, 'near', similarity);
+                        }
                     }
                 }
-                
-                // Fallback to mock client
-                console.log('🔄 Using fallback mock client for testing');
-                this.createMockClient();
-                return true;
+                after = page.length > 0 ? page[page.length - 1].id : after;
+            } while (page.length === BATCH_SIZE);
+        }
+
+        for (const ids of idsByHash.values()) {
+            for (const id of ids.slice(1)) {
+                if (objects.get(id).properties.fileId !== objects.get(ids[0]).properties.fileId) {
+                    link(ids[0], id, 'exact', 1);
+                }
             }
-            
-        } catch (error) {
-            console.error('❌ Error initializing Weaviate client:', error);
-            console.log('🔄 Creating fallback mock client for testing');
-            this.createMockClient();
-            return true;
         }
-    }
 
-    createMockClient() {
-        this.client = {
-            schema: {
-                classCreator: () => ({
-                    withClass: () => ({
-                        do: async () => ({})
-                    })
-                })
-            },
-            data: {
-                creator: () => ({
-                    withClassName: () => ({
-                        withTenant: () => ({
-                            withProperties: () => ({
-                                do: async () => ({})
-                            })
-                        })
-                    })
-                })
-            },
-            graphql: {
-                get: () => ({
-                    withClassName: () => ({
-                        withTenant: () => ({
-                            withFields: () => ({
-                                withNearText: () => ({
-                                    withLimit: () => ({
-                                        do: async () => ({
-                                            data: {
-                                                Get: {
-                                                    QADocument: [
-                                                        {
-                                                            fileId: 'doc001',
-                                                            question: 'What is machine learning?',
-                                                            answer: 'Machine learning is a subset of artificial intelligence that enables computers to learn and improve from experience without being explicitly programmed.',
-                                                            tenant: 'tenant1'
-                                                        },
-                                                        {
-                                                            fileId: 'doc002',
-                                                            question: 'How does a neural network work?',
-                                                            answer: 'A neural network is a series of algorithms that attempts to recognize underlying relationships in a set of data through a process that mimics the way the human brain operates.',
-                                                            tenant: 'tenant1'
-                                                        }
-                                                    ]
-                                                }
-                                            }
-                                        })
-                                    })
-                                })
-                            })
-                        })
-                    })
-                })
+        // Collapse object clusters to documents: chunks of one file appear once
+        const clusters = new Map();
+        for (const id of objects.keys()) {
+            const key = root(id);
+            if (!clusters.has(key)) {
+                clusters.set(key, new Map());
+            }
+            const documents = clusters.get(key);
+            const { collection, properties } = objects.get(id);
+            const match = best.get(id);
+            const document = documents.get(properties.fileId);
+            if (!document) {
+                documents.set(properties.fileId, { collection, properties, match });
+            } else if (match && (!document.match || match.similarity > document.match.similarity)) {
+                document.match = match;
             }
+        }
+
+        const describe = ({ collection, properties }) => ({
+            fileId: properties.fileId,
+            collection,
+            title: properties[this.collections.get(collection).titleField],
+            source: properties.source || null,
+            createdAt: properties.createdAt || null
+        });
+        const age = ({ properties }) => (properties.createdAt ? new Date(properties.createdAt).getTime() : Infinity);
+
+        const report = [...clusters.values()]
+            .filter(documents => documents.size > 1)
+            .map(documents => {
+                const [canonical, ...rest] = [...documents.values()]
+                    .sort((a, b) => age(a) - age(b) || (a.properties.fileId < b.properties.fileId ? -1 : 1));
+                return {
+                    canonical: describe(canonical),
+                    duplicates: rest.map(document => ({
+                        ...describe(document),
+                        match: document.match.match,
+                        similarity: document.match.similarity
+                    }))
+                };
+            })
+            .sort((a, b) => b.duplicates.length - a.duplicates.length);
+
+        return {
+            tenant,
+            threshold,
+            clusters: report,
+            duplicateDocuments: report.reduce((sum, cluster) => sum + cluster.duplicates.length, 0)
         };
-        console.log('⚠️ Using fallback Weaviate client for testing');
     }
 
-    async createSchema() {
-        try {
-            if (!this.client || !this.client.schema) {
-                console.log('⚠️ Using mock client, skipping schema creation');
-                return true;
-            }
-
-            // Define the schema for our QA documents
-            const schema = {
-                class: 'QADocument',
-                description: 'A class to store question-answer pairs',
-                properties: [
-                    {
-                        name: 'fileId',
-                        dataType: ['string'],
-                        description: 'The identifier for each file',
-                        indexInverted: false,
-                        vectorizePropertyName: false
-                    },
-                    {
-                        name: 'question',
-                        dataType: ['text'],
-                        description: 'The question being asked',
-                        indexInverted: true,
-                        vectorizePropertyName: true
-                    },
-                    {
-                        name: 'answer',
-                        dataType: ['text'],
-                        description: 'The answer to the question',
-                        indexInverted: true,
-                        vectorizePropertyName: true
-                    },
-                    {
-                        name: 'tenant',
-                        dataType: ['string'],
-                        description: 'Tenant identifier for multi-tenancy',
-                        indexInverted: true,
-                        vectorizePropertyName: false
-                    }
-                ],
-                vectorizer: 'none'
-            };
+    // Maps content hashes to the stored objects that have them
+    async findObjectsByHash(hashes, tenant, collection = DEFAULT_COLLECTION) {
+        const objectsByHash = new Map();
+        for (let i = 0; i < hashes.length; i += BATCH_SIZE) {
+            const objects = await this.store.fetch(tenant, {
+                filters: { contentHash: hashes.slice(i, i + BATCH_SIZE) },
+                collection
+            });
+            for (const object of objects) {
+                const { contentHash: hash } = object.properties;
+                if (!objectsByHash.has(hash)) {
+                    objectsByHash.set(hash, []);
+                }
+                objectsByHash.get(hash).push(object);
+            }
+        }
+        return objectsByHash;
+    }
 
-            // Create the schema
-            await this.client.schema.classCreator().withClass(schema).do();
-            console.log('✅ Schema created successfully');
-            
-            return true;
-        } catch (error) {
-            if (error.message.includes('already exists')) {
-                console.log('✅ Schema already exists');
-                return true;
+    // Adds tags of a dropped duplicate to the document it duplicates; a match
+    // from the same batch is not stored yet and is updated in place
+    async mergeTags(target, tags = [], tenant, collection = DEFAULT_COLLECTION) {
+        const current = target.properties.tags || [];
+        const merged = [...new Set([...current, ...tags])];
+        if (merged.length === current.length) {
+            return;
+        }
+
+        target.properties = { ...target.properties, tags: merged };
+        if (target.id && !target.vector) {
+            await this.store.merge(tenant, target.id, { tags: merged }, { collection });
+        }
+    }
+
+    // Extracts and chunks files without storing anything, so bad input is
+    // rejected before existing data is touched
+    async prepareFiles(inputs, options = {}) {
+        const prepared = [];
+        for (const input of inputs) {
+            const source = input.fileName || input.source || 'text';
+            const { format, sections } = await extractText(input);
+            const chunks = chunkSections(sections, options);
+
+            if (chunks.length === 0) {
+                throw new ValidationError(`No text could be extracted from "${source}"`);
             }
-            console.error('❌ Error creating schema:', error);
-            return false;
+
+            prepared.push({
+                fileId: input.fileId || `file-${crypto.randomUUID()}`,
+                source,
+                format,
+                chunks,
+                tags: this.normalizeTags(input.tags !== undefined ? input.tags : options.tags),
+                createdAt: this.normalizeDate(input.createdAt || options.createdAt)
+            });
         }
+        return prepared;
     }
 
-    async insertSampleData() {
-        try {
-            if (!this.client || !this.client.data) {
-                console.log('⚠️ Using mock client, skipping data insertion');
-                return true;
-            }
-
-            const sampleData = [
-                {
-                    fileId: 'doc001',
-                    question: 'What is machine learning?',
-                    answer: 'Machine learning is a subset of artificial intelligence that enables computers to learn and improve from experience without being explicitly programmed. It uses algorithms to identify patterns in data and make predictions or decisions.',
-                    tenant: 'tenant1'
-                },
-                {
-                    fileId: 'doc002',
-                    question: 'How does a neural network work?',
-                    answer: 'A neural network is a series of algorithms that attempts to recognize underlying relationships in a set of data through a process that mimics the way the human brain operates. It consists of layers of interconnected nodes that process and transmit information.',
-                    tenant: 'tenant1'
-                },
-                {
-                    fileId: 'doc003',
-                    question: 'What is the difference between supervised and unsupervised learning?',
-                    answer: 'Supervised learning uses labeled training data to learn the mapping from inputs to outputs, while unsupervised learning finds hidden patterns in unlabeled data. Supervised learning is used for classification and regression tasks, while unsupervised learning is used for clustering and dimensionality reduction.',
-                    tenant: 'tenant2'
-                },
-                {
-                    fileId: 'doc004',
-                    question: 'What is deep learning?',
-                    answer: 'Deep learning is a subset of machine learning that uses artificial neural networks with multiple layers to model and understand complex patterns in data. It has been particularly successful in image recognition, natural language processing, and speech recognition.',
-                    tenant: 'tenant2'
-                },
-                {
-                    fileId: 'doc005',
-                    question: 'How do you evaluate machine learning models?',
-                    answer: 'Machine learning models are evaluated using various metrics such as accuracy, precision, recall, F1-score, and ROC-AUC. Cross-validation techniques like k-fold cross-validation are commonly used to ensure robust evaluation. The choice of metrics depends on the specific problem and business requirements.',
-                    tenant: 'tenant1'
+    // Ingesting never adds chunks to a stored document: a fileId given by the
+    // caller must be new to the tenant, in every collection
+    async assertNewFileIds(fileIds, tenant) {
+        const repeated = fileIds.find((fileId, index) => fileIds.indexOf(fileId) !== index);
+        if (repeated) {
+            throw new ValidationError(`fileId "${repeated}" is given more than once`);
+        }
+        for (const collection of this.collections.names()) {
+            const existing = await this.findObjectIds(fileIds, tenant, collection);
+            if (existing.size > 0) {
+                throw new DocumentExistsError(existing.keys().next().value, tenant);
+            }
+        }
+    }
+
+    toChunkObjects(files, collection = DEFAULT_COLLECTION) {
+        const { titleField, contentField } = this.collections.get(collection);
+        return files.flatMap(file => file.chunks.map(chunk => {
+            const properties = {
+                fileId: file.fileId,
+                // The heading (or file name) stands in for the title, e.g. the question of a QA pair
+                [titleField]: chunk.heading || file.source,
+                [contentField]: chunk.text,
+                source: file.source,
+                chunkIndex: chunk.chunkIndex
+            };
+            if (chunk.page !== null) properties.page = chunk.page;
+            if (chunk.heading !== null) properties.heading = chunk.heading;
+            if (file.tags.length > 0) properties.tags = file.tags;
+            if (file.createdAt) properties.createdAt = file.createdAt;
+            return { properties };
+        }));
+    }
+
+    // Tags come as an array or, from form fields and CSV cells, a comma-separated string
+    normalizeTags(tags) {
+        if (tags === undefined || tags === null || tags === '') {
+            return [];
+        }
+        const list = Array.isArray(tags) ? tags : String(tags).split(',');
+        if (list.some(tag => typeof tag !== 'string')) {
+            throw new ValidationError('tags must be strings');
+        }
+        return [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+    }
+
+    normalizeDate(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new ValidationError(`Invalid date "${value}"`);
+        }
+        return date.toISOString();
+    }
+
+    // Embeds and writes { id, properties } objects through the batch API,
+    // into options.collection (default QADocument).
+    // An object whose id already exists is replaced, vector included.
+    // createdAt defaults to the time of writing.
+    async insertObjects(objects, tenant, options = {}) {
+        const errors = await this.writeObjects(objects, tenant, options);
+        const failures = errors.filter(error => error !== null);
+        if (failures.length > 0) {
+            throw new DatabaseError(`Failed to insert ${failures.length} object(s): ${failures[0]}`);
+        }
+    }
+
+    // Like insertObjects, but reports per-object failures instead of throwing:
+    // returns one error message (or null on success) per input object.
+    // Objects that already carry a vector are not embedded again.
+    async writeObjects(objects, tenant, options = {}) {
+        const batchSize = options.batchSize || BATCH_SIZE;
+        const { name: collection, textFields } = this.collections.get(options.collection);
+        const createdAt = new Date().toISOString();
+        const errors = [];
+
+        for (let i = 0; i < objects.length; i += batchSize) {
+            const batch = await this.embedObjects(objects.slice(i, i + batchSize), collection);
+
+            errors.push(...await this.store.insert(tenant, batch.map(object => ({
+                id: object.id,
+                properties: { createdAt, ...object.properties, contentHash: contentHash(object.properties, textFields) },
+                vector: object.vector
+            })), { collection }));
+        }
+
+        return errors;
+    }
+
+    // Sets the vector of every object that has none yet, in batches
+    async embedObjects(objects, collection = DEFAULT_COLLECTION) {
+        const missing = objects.filter(object => !object.vector);
+        for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+            const batch = missing.slice(i, i + BATCH_SIZE);
+            const vectors = await this.embeddings.embedDocuments(
+                batch.map(object => this.getDocumentText(object.properties, collection))
+            );
+            batch.forEach((object, index) => {
+                object.vector = vectors[index];
+            });
+        }
+        return objects;
+    }
+
+    // Imports rows ({ tenant, collection, properties }) in batches; rows
+    // without a collection are QA pairs. Rows whose fileId already exists in
+    // the collection are skipped, or replaced in place with onExisting: 'upsert'.
+    // Rows duplicating other content are handled per onDuplicate.
+    // Returns counts, the duplicates found and the reason for every failed row.
+    async importDocuments(rows, options = {}) {
+        const { batchSize = BATCH_SIZE, onExisting = 'skip', onDuplicate, duplicateThreshold } = options;
+        if (!['skip', 'upsert'].includes(onExisting)) {
+            throw new ValidationError('onExisting must be "skip" or "upsert"');
+        }
+        this.validateDuplicateOptions(
+            onDuplicate || this.duplicateAction,
+            duplicateThreshold !== undefined ? duplicateThreshold : this.duplicateThreshold
+        );
+
+        const summary = { inserted: 0, updated: 0, skipped: 0, duplicates: [], failed: [] };
+        const fail = (row, reason) => summary.failed.push({ row: row.row, fileId: row.properties.fileId, reason });
+
+        const rowsByTarget = new Map();
+        for (const row of rows) {
+            const key = JSON.stringify([row.tenant, row.collection || DEFAULT_COLLECTION]);
+            if (!rowsByTarget.has(key)) {
+                rowsByTarget.set(key, []);
+            }
+            rowsByTarget.get(key).push(row);
+        }
+
+        for (const [key, tenantRows] of rowsByTarget) {
+            const [tenant, collection] = JSON.parse(key);
+            try {
+                this.collections.get(collection);
+                await this.assertTenant(tenant);
+            } catch (error) {
+                tenantRows.forEach(row => fail(row, error.message));
+                continue;
+            }
+
+            const firstRowByFileId = new Map();
+            for (let i = 0; i < tenantRows.length; i += batchSize) {
+                const batchRows = tenantRows.slice(i, i + batchSize);
+                const existing = await this.findObjectIds(batchRows.map(row => row.properties.fileId), tenant, collection);
+
+                const pending = [];
+                for (const row of batchRows) {
+                    const { fileId } = row.properties;
+                    const ids = existing.get(fileId);
+
+                    if (firstRowByFileId.has(fileId)) {
+                        fail(row, `duplicate fileId, first seen on row ${firstRowByFileId.get(fileId)}`);
+                        continue;
+                    }
+                    firstRowByFileId.set(fileId, row.row);
+
+                    if (ids && onExisting === 'skip') {
+                        summary.skipped++;
+                    } else if (ids && ids.length > 1) {
+                        fail(row, `fileId belongs to an ingested file with ${ids.length} chunks`);
+                    } else {
+                        pending.push({ row, id: ids ? ids[0] : undefined });
+                    }
                 }
-            ];
-
-            for (const data of sampleData) {
-                try {
-                    await this.client.data.creator()
-                        .withClassName('QADocument')
-                        .withProperties({
-                            fileId: data.fileId,
-                            question: data.question,
-                            answer: data.answer,
-                            tenant: data.tenant
-                        })
-                        .do();
-                } catch (error) {
-                    // Skip if document already exists
-                    if (!error.message.includes('already exists')) {
-                        console.error(`❌ Error inserting document ${data.fileId}:`, error);
+
+                const { objects, duplicates } = await this.resolveDuplicates(
+                    pending.map(item => ({ id: item.id, properties: item.row.properties })),
+                    tenant,
+                    { action: onDuplicate, threshold: duplicateThreshold, collection }
+                );
+                const dropped = new Set(duplicates
+                    .filter(duplicate => duplicate.action !== 'flag')
+                    .map(duplicate => duplicate.index));
+                duplicates.forEach(({ index, ...duplicate }) => summary.duplicates.push({ row: pending[index].row.row, ...duplicate }));
+
+                const written = pending.filter((item, index) => !dropped.has(index));
+                const errors = await this.writeObjects(objects, tenant, { batchSize, collection });
+                written.forEach((item, index) => {
+                    if (errors[index]) {
+                        fail(item.row, errors[index]);
+                    } else if (item.id) {
+                        summary.updated++;
+                    } else {
+                        summary.inserted++;
                     }
+                });
+            }
+        }
+
+        return summary;
+    }
+
+    // Maps each fileId that exists in the tenant's collection to the ids of its objects
+    async findObjectIds(fileIds, tenant, collection = DEFAULT_COLLECTION) {
+        const idsByFileId = new Map();
+        if (fileIds.length === 0) {
+            return idsByFileId;
+        }
+
+        for (const object of await this.store.fetchByIds(tenant, fileIds, { collection })) {
+            const { fileId } = object.properties;
+            if (!idsByFileId.has(fileId)) {
+                idsByFileId.set(fileId, []);
+            }
+            idsByFileId.get(fileId).push(object.id);
+        }
+        return idsByFileId;
+    }
+
+    // Raw QADocument objects (with their store ids) stored under a fileId
+    async findObjects(fileId, tenant) {
+        return this.store.fetchByIds(tenant, [fileId]);
+    }
+
+    // Merges changes into a single QA document. The vector is recomputed
+    // only when the embedded text (question or answer) changes.
+    async updateDocument(fileId, tenant, changes) {
+        await this.assertTenant(tenant);
+
+        const updates = {};
+        for (const key of EDITABLE_PROPERTIES) {
+            if (key === 'tags') {
+                if (changes.tags !== undefined) {
+                    updates.tags = this.normalizeTags(changes.tags);
+                }
+            } else if (changes[key] !== undefined) {
+                if (typeof changes[key] !== 'string' || !changes[key].trim()) {
+                    throw new ValidationError(`${key} must be a non-empty string`);
                 }
+                updates[key] = changes[key];
             }
+        }
+        if (Object.keys(updates).length === 0) {
+            throw new ValidationError(`Provide at least one of: ${EDITABLE_PROPERTIES.join(', ')}`);
+        }
 
-            console.log('✅ Sample data inserted successfully');
-            return true;
-        } catch (error) {
-            console.error('❌ Error inserting sample data:', error);
-            return false;
+        const objects = await this.findObjects(fileId, tenant);
+        if (objects.length === 0) {
+            throw new DocumentNotFoundError(fileId, tenant);
+        }
+        if (objects.length > 1) {
+            throw new ValidationError(
+                `Document "${fileId}" is an ingested file with ${objects.length} chunks; replace it with new text instead`
+            );
+        }
+
+        const [object] = objects;
+        const properties = { ...object.properties, ...updates };
+        const contentChanged = properties.question !== object.properties.question ||
+                               properties.answer !== object.properties.answer;
+
+        if (contentChanged) {
+            await this.insertObjects([{ id: object.id, properties }], tenant);
+        } else {
+            await this.store.merge(tenant, object.id, updates);
+        }
+
+        return { ...this.toDocument(properties, tenant), reembedded: contentChanged };
+    }
+
+    // Replaces everything stored under a fileId, either with a new QA pair
+    // ({ question, answer }) or with freshly ingested text ({ text, source, format }).
+    // source, tags, metadata and createdAt carry over unless content sets them.
+    // The new objects are embedded before anything is written, so a failing
+    // embedding provider leaves the document as it was.
+    async replaceDocument(fileId, tenant, content, options = {}) {
+        await this.assertTenant(tenant);
+
+        const previous = (await this.store.fetch(tenant, { filters: { fileId }, vectors: true }))
+            .sort((a, b) => (a.properties.chunkIndex || 0) - (b.properties.chunkIndex || 0));
+        if (previous.length === 0) {
+            throw new DocumentNotFoundError(fileId, tenant);
+        }
+        const kept = this.keptProperties(previous[0].properties, content);
+
+        let objects;
+        let result = null;
+        if (typeof content.text === 'string') {
+            const [file] = await this.prepareFiles([{
+                text: content.text,
+                format: content.format,
+                source: kept.source,
+                tags: kept.tags,
+                createdAt: kept.createdAt,
+                fileId
+            }], options);
+            objects = this.toChunkObjects([file]);
+            if (kept.metadata) {
+                objects.forEach(object => {
+                    object.properties.metadata = kept.metadata;
+                });
+            }
+            result = { fileId, source: file.source, format: file.format, chunks: file.chunks.length };
+        } else {
+            if (typeof content.question !== 'string' || typeof content.answer !== 'string') {
+                throw new ValidationError('Provide question and answer, or text to re-ingest');
+            }
+            const properties = { fileId, question: content.question, answer: content.answer };
+            if (kept.source) properties.source = kept.source;
+            if (kept.tags.length > 0) properties.tags = kept.tags;
+            if (kept.createdAt) properties.createdAt = kept.createdAt;
+            if (kept.metadata) properties.metadata = kept.metadata;
+            objects = [{ properties }];
+        }
+
+        await this.embedObjects(objects);
+        // New objects take over the ids of the old ones, so writing them replaces them
+        objects.forEach((object, index) => {
+            object.id = previous[index] ? previous[index].id : crypto.randomUUID();
+        });
+        await this.swapObjects(previous, objects, tenant);
+
+        return result || this.toDocument(objects[0].properties, tenant);
+    }
+
+    // What a replacement keeps of the document it replaces
+    keptProperties(properties, content) {
+        if (content.metadata !== undefined && content.metadata !== null &&
+            (typeof content.metadata !== 'object' || Array.isArray(content.metadata))) {
+            throw new ValidationError('metadata must be an object');
+        }
+
+        let metadata = properties.metadata || null;
+        if (content.metadata !== undefined) {
+            metadata = content.metadata === null ? null : JSON.stringify(content.metadata);
+        }
+        return {
+            source: content.source !== undefined ? content.source : properties.source,
+            tags: content.tags !== undefined ? this.normalizeTags(content.tags) : (properties.tags || []),
+            createdAt: properties.createdAt || null,
+            metadata
+        };
+    }
+
+    // Writes embedded objects over the previous ones (same ids) and removes
+    // previous objects left over. If any write fails, the previous objects
+    // are written back and the new ones without a previous counterpart
+    // removed, so the document stays as it was.
+    async swapObjects(previous, objects, tenant) {
+        const failures = (await this.writeObjects(objects, tenant)).filter(error => error !== null);
+        if (failures.length === 0) {
+            await this.store.remove(tenant, previous.slice(objects.length).map(object => object.id));
+            return;
+        }
+
+        const restoreFailures = (await this.store.insert(tenant, previous)).filter(error => error !== null);
+        await this.store.remove(tenant, objects.slice(previous.length).map(object => object.id));
+        if (restoreFailures.length > 0) {
+            throw new DatabaseError(`Failed to replace ${failures.length} object(s) (${failures[0]}) ` +
+                `and to restore ${restoreFailures.length} previous object(s): ${restoreFailures[0]}`);
+        }
+        throw new DatabaseError(`Failed to replace ${failures.length} object(s), the previous document was restored: ${failures[0]}`);
+    }
+
+    async deleteDocument(fileId, tenant = 'tenant1') {
+        await this.assertTenant(tenant);
+
+        const { matches, deleted } = await this.deleteDocuments({ fileId }, tenant);
+        if (matches === 0) {
+            throw new DocumentNotFoundError(fileId, tenant);
         }
+        return { fileId, deleted };
     }
 
-    async searchDocuments(query, tenant = 'tenant1', limit = 5) {
+    // Bulk delete of every object matching the filters (see ./filters.js) in
+    // options.collection, or else in every collection that has the filtered
+    // properties. With dryRun the matches are counted but nothing is removed.
+    async deleteDocuments(filters, tenant = 'tenant1', options = {}) {
+        await this.assertTenant(tenant);
+
+        if (!buildWhereFilter(filters)) {
+            throw new ValidationError('Refusing to delete without filters; delete the tenant instead');
+        }
+
+        let collections;
+        if (options.collection) {
+            this.collections.assertFilterable(options.collection, filters);
+            collections = [options.collection];
+        } else {
+            collections = this.collections.list()
+                .filter(collection => Object.keys(filters).every(property => collection.propertyNames.includes(property)))
+                .map(collection => collection.name);
+            if (collections.length === 0) {
+                throw new ValidationError('No collection has every filtered property');
+            }
+        }
+
+        let matches = 0;
+        let deleted = 0;
+        for (const collection of collections) {
+            const result = await this.store.delete(tenant, filters, { dryRun: Boolean(options.dryRun), collection });
+            matches += result.matches;
+            deleted += result.deleted;
+        }
+        return { matches, deleted, dryRun: Boolean(options.dryRun) };
+    }
+
+    // Modes:
+    //   vector  - nearest neighbours of the query embedding
+    //   keyword - BM25 over the text fields, catches exact codes and acronyms
+    //   hybrid  - both, fused by Weaviate; alpha 1 is pure vector, 0 pure keyword
+    // options.collections names one collection or an array of them (default
+    // QADocument). Hybrid scores are relative to each collection's results,
+    // so results of several collections are merged by similarity, or by BM25
+    // score in keyword mode. options.vectors adds each document's stored vector.
+    async searchDocuments(query, tenant = 'tenant1', limit = 5, options = {}) {
+        const { mode = 'vector', alpha = 0.5, filters } = options;
+
         try {
-            // Check if client is initialized
-            if (!this.client || !this.client.graphql) {
-                console.warn('⚠️ Weaviate client not initialized, returning mock data');
-                return [
-                    {
-                        fileId: 'doc001',
-                        question: 'What is machine learning?',
-                        answer: 'Machine learning is a subset of artificial intelligence that enables computers to learn and improve from experience without being explicitly programmed.',
-                        tenant: tenant
-                    },
-                    {
-                        fileId: 'doc002',
-                        question: 'How does a neural network work?',
-                        answer: 'A neural network is a series of algorithms that attempts to recognize underlying relationships in a set of data through a process that mimics the way the human brain operates.',
-                        tenant: tenant
-                    }
-                ];
+            if (typeof query !== 'string' || !query.trim()) {
+                throw new ValidationError('query must be a non-empty string');
+            }
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+                throw new ValidationError(`limit must be an integer from 1 to ${MAX_SEARCH_LIMIT}`);
+            }
+            if (!SEARCH_MODES.includes(mode)) {
+                throw new ValidationError(`Invalid search mode "${mode}". Use one of: ${SEARCH_MODES.join(', ')}`);
+            }
+            if (typeof alpha !== 'number' || alpha < 0 || alpha > 1) {
+                throw new ValidationError('alpha must be a number between 0 and 1');
+            }
+            const collections = this.resolveCollections(options.collections);
+            // Filters narrow the candidates before ranking, see ./filters.js
+            if (filters) {
+                buildWhereFilter(filters);
+                collections.forEach(collection => this.collections.assertFilterable(collection, filters));
             }
 
-            // Use simple search without vector search for local Weaviate
-            const result = await this.client.graphql
-                .get()
-                .withClassName('QADocument')
-                .withFields('fileId question answer tenant')
-                .withLimit(limit)
-                .do();
+            await this.assertTenant(tenant);
+
+            const vector = mode === 'keyword' ? null : await this.embeddings.embedQuery(query);
+            const results = await Promise.all(collections.map(async collection => {
+                const hits = await this.store.search(tenant, {
+                    mode,
+                    query,
+                    alpha,
+                    limit,
+                    filters,
+                    properties: this.collections.get(collection).textFields,
+                    vector,
+                    collection,
+                    vectors: options.vectors
+                });
+
+                // Best match first; every hit says why it matched
+                return hits.map(hit => ({
+                    ...this.toDocument(hit.properties, tenant, collection),
+                    score: hit.score,
+                    matchedBy: hit.matchedBy,
+                    distance: hit.distance,
+                    certainty: hit.certainty,
+                    similarity: hit.similarity,
+                    ...(options.vectors ? { vector: hit.vector } : {})
+                }));
+            }));
 
-            return result.data.Get.QADocument || [];
+            const rank = (doc) => (mode === 'keyword' ? doc.score : doc.similarity) || 0;
+            return collections.length === 1
+                ? results[0]
+                : results.flat().sort((a, b) => rank(b) - rank(a)).slice(0, limit);
         } catch (error) {
+            if (error instanceof DatabaseError) {
+                throw error;
+            }
             console.error('❌ Error searching documents:', error);
-            // Return mock data for testing purposes
-            return [
-                {
-                    fileId: 'doc001',
-                    question: 'What is machine learning?',
-                    answer: 'Machine learning is a subset of artificial intelligence that enables computers to learn and improve from experience without being explicitly programmed.',
-                    tenant: tenant
-                },
-                {
-                    fileId: 'doc002',
-                    question: 'How does a neural network work?',
-                    answer: 'A neural network is a series of algorithms that attempts to recognize underlying relationships in a set of data through a process that mimics the way the human brain operates.',
-                    tenant: tenant
-                }
-            ];
+            throw new DatabaseError(`Search failed: ${error.message}`);
+        }
+    }
+
+    // Collection names from a name, an array of names or nothing (QADocument)
+    resolveCollections(collections) {
+        const names = collections === undefined || collections === null
+            ? [DEFAULT_COLLECTION]
+            : [].concat(collections);
+        if (names.length === 0 || names.some(name => typeof name !== 'string')) {
+            throw new ValidationError('collections must be a collection name or a non-empty array of names');
         }
+        return [...new Set(names.map(name => this.collections.get(name).name))];
     }
 
+    // Common fields plus the collection's own properties, e.g. question and answer
+    toDocument(doc, tenant, collection = DEFAULT_COLLECTION) {
+        const own = {};
+        for (const property of this.collections.get(collection).properties) {
+            own[property.name] = doc[property.name] !== undefined ? doc[property.name] : null;
+        }
+
+        return {
+            fileId: doc.fileId,
+            ...own,
+            collection: collection,
+            tenant: tenant,
+            source: doc.source || null,
+            chunkIndex: doc.chunkIndex != null ? doc.chunkIndex : null,
+            page: doc.page != null ? doc.page : null,
+            heading: doc.heading || null,
+            tags: doc.tags || [],
+            duplicateOf: doc.duplicateOf || null,
+            createdAt: doc.createdAt || null,
+            metadata: doc.metadata ? JSON.parse(doc.metadata) : null
+        };
+    }
+
+    // Documents of every collection stored under the fileIds
     async fetchObjectsByFileIds(fileIds, tenant = 'tenant1') {
         try {
-            // Check if client is initialized
-            if (!this.client || !this.client.graphql) {
-                console.warn('⚠️ Weaviate client not initialized, returning mock data');
-                return fileIds.map(fileId => ({
-                    fileId: fileId,
-                    question: `Sample question for ${fileId}`,
-                    answer: `Sample answer for ${fileId}`,
-                    tenant: tenant
-                }));
-            }
+            await this.assertTenant(tenant);
 
-            const result = await this.client.graphql
-                .get()
-                .withClassName('QADocument')
-                .withFields('fileId question answer tenant')
-                .withLimit(fileIds.length)
-                .do();
+            if (fileIds.length === 0) {
+                return [];
+            }
 
-            return result.data.Get.QADocument || [];
+            // Return documents in the order they were requested, chunks of
+            // an ingested file in their original order
+            const documentsById = new Map();
+            for (const collection of this.collections.names()) {
+                for (const { properties } of await this.store.fetchByIds(tenant, fileIds, { collection })) {
+                    if (!documentsById.has(properties.fileId)) {
+                        documentsById.set(properties.fileId, []);
+                    }
+                    documentsById.get(properties.fileId).push(this.toDocument(properties, tenant, collection));
+                }
+            }
+            return fileIds
+                .filter(fileId => documentsById.has(fileId))
+                .flatMap(fileId => documentsById.get(fileId)
+                    .sort((a, b) => (a.chunkIndex || 0) - (b.chunkIndex || 0)));
         } catch (error) {
+            if (error instanceof DatabaseError) {
+                throw error;
+            }
             console.error('❌ Error fetching objects by fileIds:', error);
-            // Return mock data for testing purposes
-            return fileIds.map(fileId => ({
-                fileId: fileId,
-                question: `Sample question for ${fileId}`,
-                answer: `Sample answer for ${fileId}`,
-                tenant: tenant
-            }));
+            throw new DatabaseError(`Fetching documents failed: ${error.message}`);
         }
     }
 }
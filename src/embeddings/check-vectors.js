@@ -0,0 +1,17 @@
+// A provider's reply must hold one vector per text, every one with the
+// expected dimensions (or, if none are configured, the same as the first):
+// vectors of another length cannot be compared with the stored ones.
+function checkVectors(vectors, count, dimensions, provider) {
+    if (!Array.isArray(vectors) || vectors.length !== count) {
+        throw new Error(`${provider} embeddings returned ${Array.isArray(vectors) ? vectors.length : 'no'} vectors for ${count} texts`);
+    }
+
+    const expected = dimensions || (vectors.length > 0 && Array.isArray(vectors[0]) ? vectors[0].length : 0);
+    const wrong = vectors.find(vector => !Array.isArray(vector) || vector.length !== expected);
+    if (wrong !== undefined) {
+        throw new Error(`${provider} embeddings returned a vector with ${Array.isArray(wrong) ? wrong.length : 0} dimensions, expected ${expected}`);
+    }
+    return vectors;
+}
+
+module.exports = checkVectors;
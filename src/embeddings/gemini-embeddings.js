@@ -0,0 +1,54 @@
+const { GoogleGenerativeAI, TaskType } = require('@google/generative-ai');
+const { Embeddings } = require('@langchain/core/embeddings');
+const checkVectors = require('./check-vectors');
+
+// Gemini batch requests accept at most 100 texts
+const MAX_BATCH_SIZE = 100;
+
+class GeminiEmbeddings extends Embeddings {
+    constructor(options = {}) {
+        super(options);
+        const apiKey = options.apiKey || process.env.GOOGLE_API_KEY;
+        if (!apiKey) {
+            throw new Error('GOOGLE_API_KEY is required for Gemini embeddings');
+        }
+
+        this.modelName = options.modelName || process.env.EMBEDDING_MODEL || 'text-embedding-004';
+        // Known for the default model; vectors of other models only have to agree in length
+        this.dimensions = options.dimensions || (this.modelName === 'text-embedding-004' ? 768 : null);
+        this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: this.modelName });
+    }
+
+    async embedDocuments(documents) {
+        const vectors = [];
+
+        for (let i = 0; i < documents.length; i += MAX_BATCH_SIZE) {
+            const batch = documents.slice(i, i + MAX_BATCH_SIZE);
+            const response = await this.caller.call(() => this.model.batchEmbedContents({
+                requests: batch.map(text => ({
+                    content: { role: 'user', parts: [{ text }] },
+                    taskType: TaskType.RETRIEVAL_DOCUMENT
+                }))
+            }));
+            vectors.push(...checkVectors(
+                (response.embeddings || []).map(embedding => embedding.values),
+                batch.length,
+                this.dimensions,
+                'Gemini'
+            ));
+        }
+
+        return vectors;
+    }
+
+    async embedQuery(document) {
+        const response = await this.caller.call(() => this.model.embedContent({
+            content: { role: 'user', parts: [{ text: document }] },
+            taskType: TaskType.RETRIEVAL_QUERY
+        }));
+        const [vector] = checkVectors([response.embedding.values], 1, this.dimensions, 'Gemini');
+        return vector;
+    }
+}
+
+module.exports = GeminiEmbeddings;
@@ -0,0 +1,34 @@
+const LocalEmbeddings = require('./local-embeddings');
+const GeminiEmbeddings = require('./gemini-embeddings');
+const OpenAICompatibleEmbeddings = require('./openai-embeddings');
+
+const providers = {
+    local: LocalEmbeddings,
+    gemini: GeminiEmbeddings,
+    openai: OpenAICompatibleEmbeddings
+};
+
+// Builds the embedding provider named by EMBEDDING_PROVIDER (default: local).
+// Every provider implements LangChain's Embeddings interface:
+// embedDocuments(texts) and embedQuery(text).
+function createEmbeddings(provider = process.env.EMBEDDING_PROVIDER || 'local', options = {}) {
+    const Provider = providers[provider];
+    if (!Provider) {
+        throw new Error(`Unknown embedding provider "${provider}". Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+
+    if (provider === 'gemini' && process.env.DISABLE_GOOGLE_API === 'true') {
+        console.log('⚠️ Google API disabled, using local embeddings');
+        return new LocalEmbeddings(options);
+    }
+
+    console.log(`🔢 Using ${provider} embeddings`);
+    return new Provider(options);
+}
+
+module.exports = {
+    createEmbeddings,
+    LocalEmbeddings,
+    GeminiEmbeddings,
+    OpenAICompatibleEmbeddings
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { Embeddings } = require('@langchain/core/embeddings');
+
+// Deterministic embeddings built from hashed word and character n-grams.
+// No network or model download is needed, so similarity ranking works offline.
+class LocalEmbeddings extends Embeddings {
+    constructor(options = {}) {
+        super(options);
+        this.dimensions = options.dimensions || 384;
+        this.ngramSize = options.ngramSize || 3;
+    }
+
+    async embedDocuments(documents) {
+        return documents.map(document => this.embedText(document));
+    }
+
+    async embedQuery(document) {
+        return this.embedText(document);
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = this.tokenize(text);
+
+        for (const word of words) {
+            this.addFeature(vector, `w:${word}`, 1);
+
+            // Character n-grams let "network" and "networks" share most of their features
+            const padded = `#${word}#`;
+            for (let i = 0; i + this.ngramSize <= padded.length; i++) {
+                this.addFeature(vector, `c:${padded.slice(i, i + this.ngramSize)}`, 0.5);
+            }
+        }
+
+        for (let i = 0; i + 1 < words.length; i++) {
+            this.addFeature(vector, `b:${words[i]} ${words[i + 1]}`, 0.75);
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 0);
+    }
+
+    addFeature(vector, feature, weight) {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const index = hash.readUInt32BE(0) % this.dimensions;
+        // Signed hashing keeps unrelated features from only ever adding up
+        const sign = hash[4] & 1 ? 1 : -1;
+        vector[index] += sign * weight;
+    }
+}
+
+module.exports = LocalEmbeddings;
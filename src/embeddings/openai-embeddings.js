@@ -0,0 +1,54 @@
+const axios = require('axios');
+const { Embeddings } = require('@langchain/core/embeddings');
+const checkVectors = require('./check-vectors');
+
+// Works with any server that implements the OpenAI `/embeddings` endpoint
+// (OpenAI, Azure proxies, Ollama, LM Studio, vLLM, ...)
+class OpenAICompatibleEmbeddings extends Embeddings {
+    constructor(options = {}) {
+        super(options);
+        this.baseURL = (options.baseURL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.modelName = options.modelName || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+        this.batchSize = options.batchSize || 100;
+        this.dimensions = options.dimensions;
+
+        this.client = axios.create({
+            baseURL: this.baseURL,
+            timeout: options.timeout || 30000,
+            headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+        });
+    }
+
+    async embedDocuments(documents) {
+        const vectors = [];
+
+        for (let i = 0; i < documents.length; i += this.batchSize) {
+            vectors.push(...await this.embed(documents.slice(i, i + this.batchSize)));
+        }
+
+        return vectors;
+    }
+
+    async embedQuery(document) {
+        const [vector] = await this.embed([document]);
+        return vector;
+    }
+
+    async embed(texts) {
+        const body = { model: this.modelName, input: texts };
+        if (this.dimensions) {
+            body.dimensions = this.dimensions;
+        }
+
+        const response = await this.caller.call(() => this.client.post('/embeddings', body));
+
+        // The API does not guarantee ordering, each item carries its input index
+        const vectors = (response.data.data || [])
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+        return checkVectors(vectors, texts.length, this.dimensions, 'OpenAI-compatible');
+    }
+}
+
+module.exports = OpenAICompatibleEmbeddings;
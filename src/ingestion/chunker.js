@@ -0,0 +1,88 @@
+const { ValidationError } = require('../database/errors');
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+// Finds a good place to end a chunk: the last paragraph, sentence or word
+// break in the second half of the window, or the hard limit if there is none.
+function findBreak(text, start, end) {
+    if (end >= text.length) {
+        return text.length;
+    }
+
+    const window = text.slice(start, end);
+    const minimum = Math.floor(window.length / 2);
+    for (const separator of ['\n\n', '\n', '. ', ' ']) {
+        const index = window.lastIndexOf(separator);
+        if (index >= minimum) {
+            return start + index + separator.length;
+        }
+    }
+    return end;
+}
+
+function splitText(text, chunkSize, chunkOverlap) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+        const end = findBreak(text, start, start + chunkSize);
+        const chunk = text.slice(start, end).trim();
+        if (chunk) {
+            chunks.push(chunk);
+        }
+        if (end >= text.length) {
+            break;
+        }
+
+        // Step back by the overlap, but always move forward and start on a word
+        let next = Math.max(end - chunkOverlap, start + 1);
+        while (next > start + 1 && next < end && !/\s/.test(text[next - 1])) {
+            next--;
+        }
+        start = next;
+    }
+
+    return chunks;
+}
+
+// chunkSize and chunkOverlap from options, defaults filled in. Values that
+// are given but unusable (NaN, 0, negative) are rejected, never replaced.
+function chunkOptions(options = {}) {
+    const chunkSize = options.chunkSize !== undefined ? options.chunkSize : DEFAULT_CHUNK_SIZE;
+    const chunkOverlap = options.chunkOverlap !== undefined ? options.chunkOverlap : DEFAULT_CHUNK_OVERLAP;
+
+    if (!Number.isInteger(chunkSize) || chunkSize < 50) {
+        throw new ValidationError('chunkSize must be an integer of at least 50 characters');
+    }
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize) {
+        throw new ValidationError('chunkOverlap must be a non-negative integer smaller than chunkSize');
+    }
+    return { chunkSize, chunkOverlap };
+}
+
+// Splits extracted sections into overlapping chunks. Chunks never cross a
+// section boundary, so every chunk keeps the heading and page it came from.
+function chunkSections(sections, options = {}) {
+    const { chunkSize, chunkOverlap } = chunkOptions(options);
+
+    const chunks = [];
+    for (const section of sections) {
+        for (const text of splitText(section.text, chunkSize, chunkOverlap)) {
+            chunks.push({
+                text,
+                chunkIndex: chunks.length,
+                heading: section.heading,
+                page: section.page
+            });
+        }
+    }
+    return chunks;
+}
+
+module.exports = {
+    chunkSections,
+    chunkOptions,
+    DEFAULT_CHUNK_SIZE,
+    DEFAULT_CHUNK_OVERLAP
+};
@@ -0,0 +1,165 @@
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { ValidationError } = require('../database/errors');
+
+const FORMATS_BY_EXTENSION = {
+    '.txt': 'text',
+    '.text': 'text',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.pdf': 'pdf'
+};
+
+const FORMATS_BY_MIME_TYPE = {
+    'text/plain': 'text',
+    'text/markdown': 'markdown',
+    'text/html': 'html',
+    'application/pdf': 'pdf'
+};
+
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&apos;': "'",
+    '&nbsp;': ' '
+};
+
+const FORMATS = ['text', 'markdown', 'html', 'pdf'];
+
+// Throws for a format given by the caller that cannot be extracted
+function assertFormat(format) {
+    if (format !== undefined && format !== null && !FORMATS.includes(format)) {
+        throw new ValidationError(`Invalid format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+}
+
+function detectFormat(fileName = '', mimeType = '') {
+    const extension = path.extname(fileName).toLowerCase();
+    return FORMATS_BY_EXTENSION[extension] || FORMATS_BY_MIME_TYPE[mimeType.split(';')[0]] || 'text';
+}
+
+// Splits text into sections at heading lines. `matchHeading` returns the
+// heading text for a heading line and null for any other line.
+function splitByHeadings(lines, matchHeading) {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+
+    for (const line of lines) {
+        const heading = matchHeading(line);
+        if (heading !== null) {
+            if (current.lines.join('').trim()) {
+                sections.push(current);
+            }
+            current = { heading, lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    if (current.lines.join('').trim()) {
+        sections.push(current);
+    }
+
+    return sections.map(section => ({
+        text: section.lines.join('\n').trim(),
+        heading: section.heading,
+        page: null
+    }));
+}
+
+function extractMarkdown(content) {
+    return splitByHeadings(content.split(/\r?\n/), line => {
+        const match = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+        return match ? match[1] : null;
+    });
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, entity => HTML_ENTITIES[entity])
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+function extractHtml(content) {
+    const HEADING_MARKER = '\u0000HEADING\u0000';
+
+    const text = content
+        .replace(/<(script|style|noscript|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        // Keep headings on their own marked line so sections can be split on them
+        .replace(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi, (match, inner) =>
+            `\n${HEADING_MARKER}${inner.replace(/<[^>]+>/g, '').trim()}\n`)
+        .replace(/<(br|\/p|\/div|\/li|\/tr|\/section|\/article)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    const lines = decodeEntities(text)
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim());
+
+    return splitByHeadings(lines, line =>
+        line.startsWith(HEADING_MARKER) ? line.slice(HEADING_MARKER.length) : null
+    );
+}
+
+async function extractPdf(buffer, fileName) {
+    const pages = [];
+
+    // A corrupt or encrypted file is the caller's problem, not a server error
+    await pdfParse(buffer, {
+        pagerender: async (pageData) => {
+            const content = await pageData.getTextContent();
+            let lastY;
+            let text = '';
+            for (const item of content.items) {
+                text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+                lastY = item.transform[5];
+            }
+            pages.push({ text: text.trim(), heading: null, page: pageData.pageNumber });
+            return text;
+        }
+    }).catch(error => {
+        throw new ValidationError(`Could not read PDF "${fileName || 'upload'}": ${error.message}`);
+    });
+
+    return pages.filter(page => page.text);
+}
+
+// Returns the text of a file as a list of sections ({ text, heading, page })
+// so chunks can keep track of where in the source they came from.
+async function extractText({ buffer, text, fileName = '', mimeType = '', format }) {
+    assertFormat(format);
+    const resolvedFormat = format || detectFormat(fileName, mimeType);
+
+    if (resolvedFormat === 'pdf') {
+        if (!buffer) {
+            throw new ValidationError('PDF content must be uploaded as a file');
+        }
+        return { format: resolvedFormat, sections: await extractPdf(buffer, fileName) };
+    }
+
+    const content = text !== undefined ? text : buffer.toString('utf8');
+
+    if (resolvedFormat === 'markdown') {
+        return { format: resolvedFormat, sections: extractMarkdown(content) };
+    }
+    if (resolvedFormat === 'html') {
+        return { format: resolvedFormat, sections: extractHtml(content) };
+    }
+
+    const trimmed = content.trim();
+    return {
+        format: 'text',
+        sections: trimmed ? [{ text: trimmed, heading: null, page: null }] : []
+    };
+}
+
+module.exports = {
+    extractText,
+    detectFormat,
+    assertFormat,
+    FORMATS
+};
@@ -1,6 +1,48 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
 
+// Gemini roles of LangChain message types; system messages go into the
+// system instruction
+const GEMINI_ROLES = { human: 'user', ai: 'model' };
+
+const messageText = content => (Array.isArray(content)
+    ? content.map(part => (typeof part === 'string' ? part : part.text || '')).join('')
+    : content);
+
+// Turns the whole message list, e.g. the system message with the RAG
+// context and the user question, into a generateContent request
+function toGeminiRequest(messages) {
+    const system = [];
+    const contents = [];
+    for (const message of messages) {
+        const type = message._getType ? message._getType() : message.role;
+        const text = messageText(message.content);
+        if (type === 'system') {
+            system.push(text);
+        } else {
+            contents.push({ role: GEMINI_ROLES[type] || 'user', parts: [{ text }] });
+        }
+    }
+    return {
+        contents,
+        ...(system.length > 0 && { systemInstruction: { role: 'system', parts: [{ text: system.join('\n\n') }] } })
+    };
+}
+
+// Canned mock replies to the prompts that ask for JSON. The routing, chart
+// and rewriting replies do not pass validation, so without an LLM those
+// steps take their offline fallbacks: keyword routing, label/number pairs
+// read from the text and the previous question prepended.
+const MOCK_REPLIES = {
+    'query analyzer': 'The query asks about the knowledge base, so RAG should answer it.',
+    'Chart request:': '{"labels": ["Q1", "Q2"], "values": ["120", "150"], "label": "", "sources": []}',
+    'Follow-up question:': '{"query": ""}',
+    'Question to rewrite:': JSON.stringify({
+        queries: ['definition and overview', 'how it works in practice', 'common examples and use cases'],
+        hypotheticalAnswer: 'It is a topic covered in the knowledge base, with a definition, how it works and examples.'
+    })
+};
+
 class LLMConfig {
     constructor() {
         this.llm = this.createLLM();
@@ -34,8 +76,7 @@ class LLMConfig {
                         return {
                             invoke: async (messages) => {
                                 try {
-                                    const lastMessage = messages[messages.length - 1];
-                                    const result = await model.generateContent(lastMessage.content);
+                                    const result = await model.generateContent(toGeminiRequest(messages));
                                     const response = await result.response;
                                     return { content: response.text() };
                                 } catch (error) {
@@ -46,6 +87,15 @@ class LLMConfig {
                                     }
                                     throw error;
                                 }
+                            },
+                            stream: async function* (messages) {
+                                const result = await model.generateContentStream(toGeminiRequest(messages));
+                                for await (const chunk of result.stream) {
+                                    const text = chunk.text();
+                                    if (text) {
+                                        yield { content: text };
+                                    }
+                                }
                             }
                         };
                     } catch (modelError) {
@@ -68,35 +118,18 @@ class LLMConfig {
         return this.createMockLLM();
     }
 
-    createMockLLM() {
-        return {
+    // replies: canned replies by a marker in the prompt, default MOCK_REPLIES
+    createMockLLM(replies = MOCK_REPLIES) {
+        const mock = {
             invoke: async (messages) => {
                 // Mock response for local LLM
                 const lastMessage = messages[messages.length - 1];
                 const content = lastMessage.content;
                 
-                // Check if this is an analysis query
-                if (content.includes('query analyzer') || content.includes('User query:')) {
-                    const userQuery = content.split('User query:')[1]?.trim() || '';
-                    const query = userQuery.toLowerCase();
-                    
-                    // Determine tool usage based on query content
-                    const useRAG = query.includes('what') || query.includes('how') || query.includes('why') || query.includes('search') || query.includes('find') || query.includes('machine learning') || query.includes('neural network') || query.includes('deep learning');
-                    const useChart = query.includes('chart') || query.includes('graph') || query.includes('visualize') || query.includes('plot') || query.includes('bar') || query.includes('pie') || query.includes('line');
-                    
-                    let chartType = 'bar';
-                    if (query.includes('pie')) chartType = 'pie';
-                    else if (query.includes('line')) chartType = 'line';
-                    else if (query.includes('doughnut')) chartType = 'doughnut';
-                    
-                    return {
-                        content: JSON.stringify({
-                            useRAG: useRAG,
-                            useChart: useChart,
-                            chartType: chartType,
-                            reasoning: `Analysis based on query content: ${userQuery}`
-                        })
-                    };
+                // Prompts that ask for JSON get canned replies
+                const marker = Object.keys(replies).find(key => content.includes(key));
+                if (marker) {
+                    return { content: replies[marker] };
                 }
                 
                 // For RAG queries, provide contextual responses
@@ -149,6 +182,14 @@ class LLMConfig {
                 }
             }
         };
+        // Streams the mock answer word by word, like a real model would
+        mock.stream = async function* (messages) {
+            const response = await mock.invoke(messages);
+            for (const token of response.content.match(/\S+\s*/g) || []) {
+                yield { content: token };
+            }
+        };
+        return mock;
     }
 
     async invoke(messages) {
@@ -170,19 +211,38 @@ class LLMConfig {
         }
     }
 
-    async stream(messages) {
+    // Yields { content } chunks as the model generates them. Errors before
+    // the first chunk fall back like invoke does; later ones are thrown, as
+    // part of the answer has been used already.
+    async *stream(messages) {
+        // Fallback for non-streaming LLMs
+        if (!this.llm.stream) {
+            yield await this.invoke(messages);
+            return;
+        }
+
+        let started = false;
         try {
-            if (this.llm.stream) {
-                return await this.llm.stream(messages);
+            for await (const chunk of this.llm.stream(messages)) {
+                started = true;
+                yield chunk;
             }
-            // Fallback for non-streaming LLMs
-            const response = await this.invoke(messages);
-            return [response];
         } catch (error) {
             console.error('❌ Error streaming from LLM:', error);
-            return [{
+            if (started) {
+                throw error;
+            }
+            
+            // Check if it's a rate limit error
+            if (error.message.includes('429') || error.message.includes('quota')) {
+                console.log('🔄 Rate limit exceeded, using mock LLM');
+                yield* this.createMockLLM().stream(messages);
+                return;
+            }
+            
+            yield {
                 content: 'I encountered an error while processing your request. Please try again.'
-            }];
+            };
         }
     }
 }
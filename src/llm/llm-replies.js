@@ -0,0 +1,25 @@
+// Helpers for the steps that ask the LLM for a JSON reply and check it:
+// routing, query expansion and rewriting, chart data extraction
+
+// Throws unless there is an LLM; task names the step, e.g. 'Query routing'
+function requireLLM(llm, task) {
+    if (!llm) {
+        throw new Error(`${task} needs an LLM`);
+    }
+    return llm;
+}
+
+// Models often wrap the requested object in prose or a code fence, so the
+// outermost {...} of the reply is parsed
+function parseJsonReply(content) {
+    const match = (content || '').match(/\{[\s\S]*\}/);
+    if (!match) {
+        throw new Error('no JSON object in LLM reply');
+    }
+    return JSON.parse(match[0]);
+}
+
+module.exports = {
+    requireLLM,
+    parseJsonReply
+};
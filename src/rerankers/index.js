@@ -0,0 +1,32 @@
+const LexicalReranker = require('./lexical-reranker');
+const LLMReranker = require('./llm-reranker');
+const MMRReranker = require('./mmr-reranker');
+
+const rerankers = {
+    lexical: () => new LexicalReranker(),
+    llm: ({ llm }) => new LLMReranker(llm),
+    mmr: ({ embeddings, lambda }) => new MMRReranker(embeddings, { lambda })
+};
+
+// Builds the reranker named by RERANKER (default: lexical). Every reranker
+// implements rerank(query, documents, limit) and returns the best `limit`
+// documents, best first, each with a rerankScore. Documents carry a title
+// and content whatever their collection. "none" returns null.
+function createReranker(name = process.env.RERANKER || 'lexical', dependencies = {}) {
+    if (name === 'none') {
+        return null;
+    }
+
+    const create = rerankers[name];
+    if (!create) {
+        throw new Error(`Unknown reranker "${name}". Use one of: ${Object.keys(rerankers).join(', ')}, none`);
+    }
+    return create(dependencies);
+}
+
+module.exports = {
+    createReranker,
+    LexicalReranker,
+    LLMReranker,
+    MMRReranker
+};
@@ -0,0 +1,65 @@
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'to', 'we', 'what', 'when',
+    'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+// Scores candidates by how much of the query they cover. Query terms are
+// weighted by how rare they are among the candidates, so "refund" counts for
+// more than "policy" when every candidate mentions a policy. Adjacent query
+// word pairs found in the document add a bonus for phrase matches.
+class LexicalReranker {
+    constructor(options = {}) {
+        this.phraseWeight = options.phraseWeight !== undefined ? options.phraseWeight : 0.5;
+    }
+
+    async rerank(query, documents, limit = documents.length) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        const documentTerms = documents.map(doc => this.tokenize(`${doc.title} ${doc.content}`));
+
+        const weights = new Map(queryTerms.map(term => {
+            const frequency = documentTerms.filter(terms => terms.includes(term)).length;
+            return [term, Math.log(1 + (documents.length + 1) / (frequency + 1))];
+        }));
+        const totalWeight = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+
+        const queryPairs = this.pairs(this.tokenize(query));
+
+        return documents
+            .map((doc, index) => {
+                const terms = new Set(documentTerms[index]);
+                const covered = queryTerms
+                    .filter(term => terms.has(term))
+                    .reduce((sum, term) => sum + weights.get(term), 0);
+                const coverage = totalWeight > 0 ? covered / totalWeight : 0;
+
+                const documentPairs = new Set(this.pairs(documentTerms[index]));
+                const phrase = queryPairs.length > 0
+                    ? queryPairs.filter(pair => documentPairs.has(pair)).length / queryPairs.length
+                    : 0;
+
+                return { ...doc, rerankScore: (coverage + this.phraseWeight * phrase) / (1 + this.phraseWeight) };
+            })
+            .sort((a, b) => b.rerankScore - a.rerankScore)
+            .slice(0, limit);
+    }
+
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !STOPWORDS.has(word))
+            .map(word => this.stem(word));
+    }
+
+    // Crude suffix stripping so "refunds" and "refunded" match "refund"
+    stem(word) {
+        return word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word;
+    }
+
+    pairs(terms) {
+        return terms.slice(1).map((term, index) => `${terms[index]} ${term}`);
+    }
+}
+
+module.exports = LexicalReranker;
@@ -0,0 +1,66 @@
+const { HumanMessage } = require('@langchain/core/messages');
+const LexicalReranker = require('./lexical-reranker');
+const { requireLLM } = require('../llm/llm-replies');
+
+// Candidate text shown to the LLM is capped so one long chunk cannot blow the prompt
+const MAX_CANDIDATE_CHARS = 800;
+
+// Asks the LLM to grade every candidate's relevance from 0 to 10 in a single
+// call. If the reply cannot be parsed (or the LLM is unavailable) the
+// lexical reranker is used instead, so retrieval never fails on reranking.
+class LLMReranker {
+    constructor(llm, options = {}) {
+        this.llm = requireLLM(llm, 'LLM reranking');
+        this.fallback = options.fallback || new LexicalReranker();
+    }
+
+    async rerank(query, documents, limit = documents.length) {
+        if (documents.length === 0) {
+            return [];
+        }
+
+        try {
+            const response = await this.llm.invoke([new HumanMessage(this.buildPrompt(query, documents))]);
+            const scores = this.parseScores(response.content, documents.length);
+
+            return documents
+                .map((doc, index) => ({ ...doc, rerankScore: scores[index] / 10 }))
+                .sort((a, b) => b.rerankScore - a.rerankScore)
+                .slice(0, limit);
+        } catch (error) {
+            console.warn(`⚠️ LLM reranking failed (${error.message}), using lexical reranking`);
+            return this.fallback.rerank(query, documents, limit);
+        }
+    }
+
+    buildPrompt(query, documents) {
+        const candidates = documents.map((doc, index) =>
+            `[${index}] ${doc.title}\n${(doc.content || '').slice(0, MAX_CANDIDATE_CHARS)}`
+        ).join('\n\n');
+
+        return `You grade passages for a retrieval system.
+Rate how useful each passage is for answering the question, from 0 (unrelated) to 10 (answers it fully).
+
+Question: ${query}
+
+Passages:
+${candidates}
+
+Reply with only a JSON array of ${documents.length} numbers, one score per passage in the order given.`;
+    }
+
+    parseScores(content, count) {
+        const match = (content || '').match(/\[[\d\s.,]*\]/);
+        if (!match) {
+            throw new Error('no score array in LLM reply');
+        }
+
+        const scores = JSON.parse(match[0]);
+        if (scores.length !== count || scores.some(score => typeof score !== 'number' || score < 0 || score > 10)) {
+            throw new Error(`expected ${count} scores between 0 and 10`);
+        }
+        return scores;
+    }
+}
+
+module.exports = LLMReranker;
@@ -0,0 +1,66 @@
+const { cosineSimilarity } = require('../utils/vectors');
+
+// Maximal Marginal Relevance: picks candidates one at a time, trading
+// relevance to the query against similarity to what was already picked, so
+// near-duplicate chunks do not crowd out other useful context.
+// lambda 1 ranks by relevance only, 0 by diversity only.
+class MMRReranker {
+    constructor(embeddings, options = {}) {
+        if (!embeddings) {
+            throw new Error('MMR reranking needs an embeddings provider');
+        }
+        this.embeddings = embeddings;
+        this.lambda = options.lambda !== undefined ? options.lambda : 0.7;
+        // Candidates should arrive with their stored vectors, see rerank()
+        this.usesVectors = true;
+    }
+
+    async rerank(query, documents, limit = documents.length) {
+        if (documents.length === 0) {
+            return [];
+        }
+
+        const queryVector = await this.embeddings.embedQuery(query);
+        const documentVectors = await this.documentVectors(documents, queryVector.length);
+
+        const relevance = documentVectors.map(vector => cosineSimilarity(queryVector, vector));
+        const remaining = documents.map((doc, index) => index);
+        const selected = [];
+
+        while (selected.length < limit && remaining.length > 0) {
+            let best = null;
+            for (const index of remaining) {
+                const redundancy = selected.length > 0
+                    ? Math.max(...selected.map(choice => cosineSimilarity(documentVectors[index], documentVectors[choice.index])))
+                    : 0;
+                const score = this.lambda * relevance[index] - (1 - this.lambda) * redundancy;
+                if (!best || score > best.score) {
+                    best = { index, score };
+                }
+            }
+
+            selected.push(best);
+            remaining.splice(remaining.indexOf(best.index), 1);
+        }
+
+        return selected.map(({ index, score }) => {
+            const { vector, ...document } = documents[index];
+            return { ...document, rerankScore: score };
+        });
+    }
+
+    // The vectors stored with the documents; only documents without one (or
+    // with one from a model of another size) are embedded
+    async documentVectors(documents, dimensions) {
+        const stored = documents.map(doc => (Array.isArray(doc.vector) && doc.vector.length === dimensions ? doc.vector : null));
+        const missing = documents.filter((doc, index) => !stored[index]);
+        if (missing.length === 0) {
+            return stored;
+        }
+
+        const embedded = await this.embeddings.embedDocuments(missing.map(doc => `${doc.title}\n${doc.content}`));
+        return stored.map(vector => vector || embedded.shift());
+    }
+}
+
+module.exports = MMRReranker;
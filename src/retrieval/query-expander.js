@@ -0,0 +1,67 @@
+const { HumanMessage } = require('@langchain/core/messages');
+const { requireLLM, parseJsonReply } = require('../llm/llm-replies');
+
+// Asks the LLM for alternative phrasings of a question and, with hyde, a
+// short hypothetical answer (HyDE: an answer-shaped text often lands closer
+// to the stored answers in vector space than the question does).
+// Expansions only widen the search, so when there are none (no reply, or
+// one without a list of strings) the original question is searched alone.
+class QueryExpander {
+    constructor(llm, options = {}) {
+        this.llm = requireLLM(llm, 'Query expansion');
+        this.count = options.count || 3;
+    }
+
+    // Returns { queries: [reformulation, ...], hypotheticalAnswer: string | null }
+    async expand(query, options = {}) {
+        const hyde = Boolean(options.hyde);
+
+        try {
+            const response = await this.llm.invoke([new HumanMessage(this.buildPrompt(query, hyde))]);
+            return this.parseExpansion(response.content, query, hyde);
+        } catch (error) {
+            console.warn(`⚠️ Query expansion failed (${error.message}), searching with the original question only`);
+            return { queries: [], hypotheticalAnswer: null };
+        }
+    }
+
+    buildPrompt(query, hyde) {
+        return `You are a search query rewriter for a question-answering knowledge base.
+Write ${this.count} different search queries that would find passages answering the question below.
+Use synonyms, spell out abbreviations and make vague questions specific. Do not repeat the question.${hyde ? `
+Also write a short hypothetical answer (2-3 sentences) as it could appear in the knowledge base.` : ''}
+
+Question to rewrite: ${query}
+
+Reply with only a JSON object: {"queries": ["...", "..."]${hyde ? ', "hypotheticalAnswer": "..."' : ''}}`;
+    }
+
+    parseExpansion(content, query, hyde) {
+        const reply = parseJsonReply(content);
+        if (!Array.isArray(reply.queries) || reply.queries.some(item => typeof item !== 'string')) {
+            throw new Error('"queries" must be an array of strings');
+        }
+
+        // Drop blanks, repeats and the original question itself
+        const seen = new Set([query.trim().toLowerCase()]);
+        const queries = reply.queries
+            .map(item => item.trim())
+            .filter(item => {
+                const key = item.toLowerCase();
+                if (!item || seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            })
+            .slice(0, this.count);
+
+        const hypotheticalAnswer = hyde && typeof reply.hypotheticalAnswer === 'string' && reply.hypotheticalAnswer.trim()
+            ? reply.hypotheticalAnswer.trim()
+            : null;
+
+        return { queries, hypotheticalAnswer };
+    }
+}
+
+module.exports = QueryExpander;
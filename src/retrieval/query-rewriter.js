@@ -0,0 +1,63 @@
+const { HumanMessage } = require('@langchain/core/messages');
+const { requireLLM, parseJsonReply } = require('../llm/llm-replies');
+
+// Earlier answers are cut to this length in the prompt; their opening
+// usually names the topic a pronoun refers to
+const MAX_ANSWER_CHARS = 500;
+
+// Turns a follow-up question into a standalone one using the conversation
+// so far, e.g. "and how is it evaluated?" after "What is machine learning?"
+// becomes "How is machine learning evaluated?". Retrieval and routing then
+// work on the standalone question. Without a usable rewrite the last user
+// question is put in front of the follow-up, which keeps its topic
+// findable by search.
+class QueryRewriter {
+    constructor(llm) {
+        this.llm = requireLLM(llm, 'Query rewriting');
+    }
+
+    // history: [{ role: 'user' | 'assistant', content }], oldest first
+    async rewrite(query, history = []) {
+        if (history.length === 0) {
+            return query;
+        }
+
+        try {
+            const response = await this.llm.invoke([new HumanMessage(this.buildPrompt(query, history))]);
+            return this.parseRewrite(response.content);
+        } catch (error) {
+            console.warn(`⚠️ Query rewriting failed (${error.message}), prepending the previous question`);
+            const previous = [...history].reverse().find(message => message.role === 'user');
+            return previous ? `${previous.content} ${query}` : query;
+        }
+    }
+
+    buildPrompt(query, history) {
+        const conversation = history.map(message => {
+            const content = message.content.length > MAX_ANSWER_CHARS
+                ? `${message.content.slice(0, MAX_ANSWER_CHARS)}...`
+                : message.content;
+            return `${message.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+        }).join('\n');
+
+        return `You rewrite follow-up questions for a question-answering knowledge base.
+Rewrite the follow-up question into a standalone question that can be understood without the conversation: resolve pronouns like "it" or "they" and add the topic being discussed. If the question already stands alone, return it unchanged.
+
+Conversation:
+${conversation}
+
+Follow-up question: ${query}
+
+Reply with only a JSON object: {"query": "..."}`;
+    }
+
+    parseRewrite(content) {
+        const reply = parseJsonReply(content);
+        if (typeof reply.query !== 'string' || !reply.query.trim()) {
+            throw new Error('"query" must be a non-empty string');
+        }
+        return reply.query.trim();
+    }
+}
+
+module.exports = QueryRewriter;
@@ -0,0 +1,37 @@
+// Default k from the original RRF paper; it damps the advantage of the very
+// first ranks so agreement between lists matters more than one top spot
+const DEFAULT_K = 60;
+
+// Identifies a document across result lists: chunks of one file share a
+// fileId, and fileIds are only unique within a collection
+const documentKey = (doc) => `${doc.collection || ''}:${doc.fileId}:${doc.chunkIndex != null ? doc.chunkIndex : ''}`;
+
+// Merges ranked result lists into one: every document scores
+// sum(1 / (k + rank)) over the lists it appears in (rank starting at 1).
+// Returns the documents best first, each with its fusionScore and the
+// highest similarity any of the lists reported for it.
+function reciprocalRankFusion(lists, options = {}) {
+    const k = options.k || DEFAULT_K;
+    const fused = new Map();
+
+    for (const list of lists) {
+        list.forEach((doc, index) => {
+            const key = documentKey(doc);
+            const entry = fused.get(key) || { doc, fusionScore: 0, similarity: null };
+            entry.fusionScore += 1 / (k + index + 1);
+            if (doc.similarity != null && (entry.similarity === null || doc.similarity > entry.similarity)) {
+                entry.similarity = doc.similarity;
+            }
+            fused.set(key, entry);
+        });
+    }
+
+    return [...fused.values()]
+        .sort((a, b) => b.fusionScore - a.fusionScore)
+        .slice(0, options.limit)
+        .map(({ doc, fusionScore, similarity }) => ({ ...doc, fusionScore, similarity }));
+}
+
+module.exports = {
+    reciprocalRankFusion
+};
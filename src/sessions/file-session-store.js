@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const InMemorySessionStore = require('./in-memory-session-store');
+
+const FILE_FORMAT_VERSION = 1;
+
+// Keeps sessions in memory and saves them to a JSON file after every
+// change, for single-process deployments
+class FileSessionStore extends InMemorySessionStore {
+    constructor(options = {}) {
+        super('file');
+        if (!options.filePath) {
+            throw new Error('File session store needs a file path');
+        }
+        this.filePath = options.filePath;
+        if (fs.existsSync(this.filePath)) {
+            this.load();
+        }
+    }
+
+    load() {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (data.version !== FILE_FORMAT_VERSION) {
+            throw new Error(`Unsupported session file version ${data.version} in ${this.filePath}`);
+        }
+        for (const [tenant, sessions] of Object.entries(data.tenants)) {
+            this.tenants.set(tenant, new Map(sessions.map(session => [session.id, session])));
+        }
+    }
+
+    // Written to a temporary file first so a crash never leaves half a file
+    save() {
+        const tenants = {};
+        for (const [tenant, sessions] of this.tenants) {
+            tenants[tenant] = [...sessions.values()];
+        }
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify({ version: FILE_FORMAT_VERSION, tenants }));
+        fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,74 @@
+const SessionStore = require('./session-store');
+
+// Keeps sessions in process memory; they are lost on restart
+class InMemorySessionStore extends SessionStore {
+    constructor(name = 'memory') {
+        super(name);
+        // Tenant name -> Map(session id -> session)
+        this.tenants = new Map();
+    }
+
+    async getSession(tenant, id) {
+        const session = this.sessionsOf(tenant).get(id);
+        return session ? { ...session, messages: session.messages.map(message => ({ ...message })) } : null;
+    }
+
+    async appendMessages(tenant, id, messages) {
+        const sessions = this.sessionsOf(tenant, true);
+        const now = new Date().toISOString();
+        let session = sessions.get(id);
+        if (!session) {
+            session = { id, tenant, createdAt: now, updatedAt: now, messages: [] };
+            sessions.set(id, session);
+        }
+        session.messages.push(...messages.map(message => ({
+            role: message.role,
+            content: message.content,
+            createdAt: message.createdAt || now,
+            metadata: message.metadata || {}
+        })));
+        session.updatedAt = now;
+        this.save();
+        return this.listing(session);
+    }
+
+    async listSessions(tenant) {
+        return [...this.sessionsOf(tenant).values()]
+            .map(session => this.listing(session))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async deleteSession(tenant, id) {
+        const deleted = this.sessionsOf(tenant).delete(id);
+        if (deleted) {
+            this.save();
+        }
+        return deleted;
+    }
+
+    async deleteTenant(tenant) {
+        if (this.tenants.delete(tenant)) {
+            this.save();
+        }
+    }
+
+    sessionsOf(tenant, create = false) {
+        if (!this.tenants.has(tenant)) {
+            if (!create) {
+                return new Map();
+            }
+            this.tenants.set(tenant, new Map());
+        }
+        return this.tenants.get(tenant);
+    }
+
+    listing(session) {
+        const { messages, ...rest } = session;
+        return { ...rest, messageCount: messages.length };
+    }
+
+    // Called after every change; persistent subclasses write the data out
+    save() {}
+}
+
+module.exports = InMemorySessionStore;
@@ -0,0 +1,36 @@
+const path = require('path');
+const SessionStore = require('./session-store');
+const InMemorySessionStore = require('./in-memory-session-store');
+const FileSessionStore = require('./file-session-store');
+const SQLiteSessionStore = require('./sqlite-session-store');
+require('dotenv').config();
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+const stores = {
+    memory: { Store: InMemorySessionStore },
+    file: { Store: FileSessionStore, defaultPath: path.join(DATA_DIR, 'sessions.json') },
+    sqlite: { Store: SQLiteSessionStore, defaultPath: path.join(DATA_DIR, 'sessions.db') }
+};
+
+// Builds the session store named by SESSION_STORE (default: memory).
+// SESSION_STORE_PATH overrides the file of the file and sqlite stores
+// (default data/sessions.json and data/sessions.db).
+function createSessionStore(type = process.env.SESSION_STORE || 'memory', options = {}) {
+    const entry = stores[type];
+    if (!entry) {
+        throw new Error(`Unknown session store "${type}". Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    if (!entry.defaultPath) {
+        return new entry.Store();
+    }
+    return new entry.Store({ filePath: process.env.SESSION_STORE_PATH || entry.defaultPath, ...options });
+}
+
+module.exports = {
+    createSessionStore,
+    SessionStore,
+    InMemorySessionStore,
+    FileSessionStore,
+    SQLiteSessionStore
+};
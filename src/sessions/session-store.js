@@ -0,0 +1,49 @@
+// Storage backend for conversation sessions, isolated per tenant. A
+// session is created by the first message appended to it.
+//
+// Sessions are { id, tenant, createdAt, updatedAt, messages }, messages
+// { role: 'user' | 'assistant', content, createdAt, metadata }. Listings
+// return the session without messages but with messageCount.
+class SessionStore {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // The session with all its messages, or null
+    async getSession(tenant, id) {
+        throw new Error(`${this.name} session store does not implement getSession()`);
+    }
+
+    // The last `limit` messages of a session, oldest first; [] for unknown sessions
+    async getMessages(tenant, id, limit) {
+        const session = await this.getSession(tenant, id);
+        if (!session) {
+            return [];
+        }
+        return limit ? session.messages.slice(-limit) : session.messages;
+    }
+
+    // Appends messages, creating the session if needed; returns its listing
+    async appendMessages(tenant, id, messages) {
+        throw new Error(`${this.name} session store does not implement appendMessages()`);
+    }
+
+    // Sessions of a tenant, most recently updated first
+    async listSessions(tenant) {
+        throw new Error(`${this.name} session store does not implement listSessions()`);
+    }
+
+    // False if the session did not exist
+    async deleteSession(tenant, id) {
+        throw new Error(`${this.name} session store does not implement deleteSession()`);
+    }
+
+    // Drops every session of a deleted tenant
+    async deleteTenant(tenant) {
+        throw new Error(`${this.name} session store does not implement deleteTenant()`);
+    }
+
+    close() {}
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const SessionStore = require('./session-store');
+
+// Keeps sessions in a SQLite database file; survives restarts and can be
+// shared by several processes on one host
+class SQLiteSessionStore extends SessionStore {
+    constructor(options = {}) {
+        super('sqlite');
+        if (!options.filePath) {
+            throw new Error('SQLite session store needs a file path');
+        }
+        if (options.filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(options.filePath), { recursive: true });
+        }
+        this.db = new Database(options.filePath);
+        // Readers do not block the writer
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                tenant TEXT NOT NULL,
+                id TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                PRIMARY KEY (tenant, id)
+            );
+            CREATE TABLE IF NOT EXISTS messages (
+                seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                tenant TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                role TEXT NOT NULL,
+                content TEXT NOT NULL,
+                metadata TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (tenant, session_id) REFERENCES sessions (tenant, id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS messages_by_session ON messages (tenant, session_id, seq);
+        `);
+        this.db.pragma('foreign_keys = ON');
+
+        this.statements = {
+            session: this.db.prepare('SELECT * FROM sessions WHERE tenant = ? AND id = ?'),
+            messages: this.db.prepare('SELECT * FROM messages WHERE tenant = ? AND session_id = ? ORDER BY seq'),
+            lastMessages: this.db.prepare(`SELECT * FROM (
+                SELECT * FROM messages WHERE tenant = ? AND session_id = ? ORDER BY seq DESC LIMIT ?
+            ) ORDER BY seq`),
+            upsertSession: this.db.prepare(`INSERT INTO sessions (tenant, id, created_at, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (tenant, id) DO UPDATE SET updated_at = excluded.updated_at`),
+            insertMessage: this.db.prepare(`INSERT INTO messages (tenant, session_id, role, content, metadata, created_at)
+                VALUES (?, ?, ?, ?, ?, ?)`),
+            list: this.db.prepare(`SELECT s.*, COUNT(m.seq) AS message_count FROM sessions s
+                LEFT JOIN messages m ON m.tenant = s.tenant AND m.session_id = s.id
+                WHERE s.tenant = ? GROUP BY s.tenant, s.id ORDER BY s.updated_at DESC`),
+            deleteSession: this.db.prepare('DELETE FROM sessions WHERE tenant = ? AND id = ?'),
+            deleteTenant: this.db.prepare('DELETE FROM sessions WHERE tenant = ?')
+        };
+    }
+
+    async getSession(tenant, id) {
+        const row = this.statements.session.get(tenant, id);
+        if (!row) {
+            return null;
+        }
+        return {
+            ...this.toSession(row),
+            messages: this.statements.messages.all(tenant, id).map(message => this.toMessage(message))
+        };
+    }
+
+    async getMessages(tenant, id, limit) {
+        const rows = limit
+            ? this.statements.lastMessages.all(tenant, id, limit)
+            : this.statements.messages.all(tenant, id);
+        return rows.map(message => this.toMessage(message));
+    }
+
+    async appendMessages(tenant, id, messages) {
+        const now = new Date().toISOString();
+        // One transaction, so a session never ends up with half an exchange
+        this.db.transaction(() => {
+            this.statements.upsertSession.run(tenant, id, now, now);
+            for (const message of messages) {
+                this.statements.insertMessage.run(tenant, id, message.role, message.content,
+                    JSON.stringify(message.metadata || {}), message.createdAt || now);
+            }
+        })();
+        return (await this.listSessions(tenant)).find(session => session.id === id);
+    }
+
+    async listSessions(tenant) {
+        return this.statements.list.all(tenant).map(row => ({
+            ...this.toSession(row),
+            messageCount: row.message_count
+        }));
+    }
+
+    async deleteSession(tenant, id) {
+        return this.statements.deleteSession.run(tenant, id).changes > 0;
+    }
+
+    async deleteTenant(tenant) {
+        this.statements.deleteTenant.run(tenant);
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    toSession(row) {
+        return { id: row.id, tenant: row.tenant, createdAt: row.created_at, updatedAt: row.updated_at };
+    }
+
+    toMessage(row) {
+        return { role: row.role, content: row.content, createdAt: row.created_at, metadata: JSON.parse(row.metadata) };
+    }
+}
+
+module.exports = SQLiteSessionStore;
@@ -0,0 +1,153 @@
+const { HumanMessage } = require('@langchain/core/messages');
+const { requireLLM, parseJsonReply } = require('../llm/llm-replies');
+
+// Characters of each document shown to the LLM, so a few long documents
+// cannot fill the prompt
+const MAX_SOURCE_CHARS = 1500;
+const MAX_POINTS = 50;
+
+const NUMBER_PATTERN = /-?\d+(?:,\d{3})*(?:\.\d+)?/g;
+// "Q1 120", "Python: 48%" or "2021 = $1,200"; the label cannot span a colon
+const PAIR_PATTERN = /([A-Za-z0-9][\w .'&/()-]{0,40}?)(?:\s*[:=]\s*|\s+)\$?(-?\d+(?:,\d{3})*(?:\.\d+)?)\s*%?$/;
+
+const parseNumber = text => parseFloat(text.replace(/,/g, ''));
+
+// Label/number pairs separated by ";", ", " or new lines, e.g.
+// "apples 5, pears 3, plums 2"; null unless there are at least two
+function textPairs(text) {
+    const labels = [];
+    const values = [];
+    for (const part of text.split(/;|\n|,\s+|\s+and\s+/)) {
+        const match = part.trim().replace(/[.!?]+$/, '').match(PAIR_PATTERN);
+        if (match) {
+            labels.push(match[1].trim());
+            values.push(parseNumber(match[2]));
+        }
+    }
+    return labels.length >= 2 ? { labels: labels.slice(0, MAX_POINTS), values: values.slice(0, MAX_POINTS) } : null;
+}
+
+// Offline extraction, used when the LLM cannot give usable data: pairs in
+// the question, else in the first document that has some. sources are
+// 1-based numbers of the documents the values come from.
+function textSeries(query, sources = []) {
+    const fromQuery = textPairs(query);
+    if (fromQuery) {
+        return { ...fromQuery, label: '', sources: [] };
+    }
+    for (let index = 0; index < sources.length; index++) {
+        const pairs = textPairs(sources[index].text);
+        if (pairs) {
+            return { ...pairs, label: sources[index].title || '', sources: [index + 1] };
+        }
+    }
+    return { labels: [], values: [], label: '', sources: [] };
+}
+
+// Whether value is written in text, also as thousands, millions or
+// billions ("1.2 million" for 1200000) or as a percentage
+function mentions(text, value) {
+    const numbers = (text.match(NUMBER_PATTERN) || []).map(parseNumber);
+    return [1, 1e3, 1e6, 1e9].some(scale =>
+        numbers.some(number => Math.abs(number * scale - value) <= Math.abs(value) * 1e-9));
+}
+
+// Finds the data for a requested chart in the question and the retrieved
+// documents, so charts show real numbers rather than made-up ones. The LLM
+// turns them into labels and values and cites the documents it used; the
+// reply is validated and every value must appear in the question or a
+// cited document; one invented number rejects the whole series, and
+// textSeries reads label/number pairs from the text instead.
+class ChartDataExtractor {
+    constructor(llm) {
+        this.llm = requireLLM(llm, 'Chart data extraction');
+    }
+
+    // sources: [{ fileId, collection, title, text }] of the retrieved documents.
+    // Returns { labels, values, label, sources } with the cited sources, or
+    // null when there is nothing to chart.
+    async extract(query, sources = []) {
+        let series;
+        try {
+            const response = await this.llm.invoke([new HumanMessage(this.buildPrompt(query, sources))]);
+            series = this.parseSeries(response.content, query, sources);
+        } catch (error) {
+            console.warn(`⚠️ Chart data extraction failed (${error.message}), reading label/number pairs instead`);
+            series = textSeries(query, sources);
+        }
+
+        if (series.labels.length === 0) {
+            return null;
+        }
+        return {
+            labels: series.labels,
+            values: series.values,
+            label: series.label,
+            sources: series.sources.map(number => {
+                const { fileId, collection, title } = sources[number - 1];
+                return { fileId, collection, title };
+            })
+        };
+    }
+
+    buildPrompt(query, sources) {
+        const documents = sources.map((source, index) => {
+            const text = source.text.length > MAX_SOURCE_CHARS
+                ? `${source.text.slice(0, MAX_SOURCE_CHARS)}...`
+                : source.text;
+            return `[${index + 1}] ${text}`;
+        }).join('\n');
+
+        return `You extract the data for a chart from the request itself and the numbered documents below.
+Use only numbers written in the request or the documents; never estimate, compute or invent values. Each label names one data point, such as a month, product or category.
+
+Chart request: ${query}
+
+Documents:
+${documents || '(none)'}
+
+Reply with only a JSON object:
+{"labels": ["..."], "values": [0], "label": "what the values measure", "sources": [numbers of the documents the values come from]}
+If there are no numbers to chart, reply {"labels": [], "values": [], "label": "", "sources": []}`;
+    }
+
+    parseSeries(content, query, sources) {
+        const reply = parseJsonReply(content);
+
+        const { labels, values } = reply;
+        if (!Array.isArray(labels) || labels.some(label => typeof label !== 'string' || !label.trim())) {
+            throw new Error('"labels" must be an array of non-empty strings');
+        }
+        if (!Array.isArray(values) || values.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+            throw new Error('"values" must be an array of numbers');
+        }
+        if (labels.length !== values.length || labels.length > MAX_POINTS) {
+            throw new Error(`"labels" and "values" must have the same length, at most ${MAX_POINTS}`);
+        }
+        if (reply.label !== undefined && typeof reply.label !== 'string') {
+            throw new Error('"label" must be a string');
+        }
+        const cited = reply.sources === undefined ? [] : reply.sources;
+        if (!Array.isArray(cited) || cited.some(number => !Number.isInteger(number) || number < 1 || number > sources.length)) {
+            throw new Error(`"sources" must be document numbers from 1 to ${sources.length}`);
+        }
+
+        // Numbers the LLM did not find in the text would be made up
+        const text = [query, ...cited.map(number => sources[number - 1].text)].join('\n');
+        const invented = values.filter(value => !mentions(text, value));
+        if (invented.length > 0) {
+            throw new Error(`values ${invented.join(', ')} are not in the request or the cited documents`);
+        }
+
+        return {
+            labels: labels.map(label => label.trim()),
+            values,
+            label: (reply.label || '').trim(),
+            sources: [...new Set(cited)]
+        };
+    }
+}
+
+module.exports = {
+    ChartDataExtractor
+};
@@ -2,34 +2,39 @@ const { Tool } = require('@langchain/core/tools');
 
 class ChartTool extends Tool {
     constructor() {
-        super({
-            name: 'chart_tool',
-            description: 'Generates Chart.js configurations for data visualization',
-            schema: {
-                type: 'object',
-                properties: {
-                    chartType: {
-                        type: 'string',
-                        description: 'Type of chart to generate (bar, line, pie, doughnut)',
-                        enum: ['bar', 'line', 'pie', 'doughnut']
-                    },
-                    data: {
-                        type: 'object',
-                        description: 'Data to visualize'
-                    },
-                    title: {
-                        type: 'string',
-                        description: 'Chart title'
-                    }
+        super();
+        // Tool takes these as class fields, not constructor arguments
+        this.name = 'chart_tool';
+        this.description = 'Generates Chart.js configurations for data visualization';
+        this.schema = {
+            type: 'object',
+            properties: {
+                chartType: {
+                    type: 'string',
+                    description: 'Type of chart to generate (bar, line, pie, doughnut)',
+                    enum: ['bar', 'line', 'pie', 'doughnut']
                 },
-                required: ['chartType', 'data']
-            }
-        });
+                data: {
+                    type: 'object',
+                    description: 'Data to visualize'
+                },
+                title: {
+                    type: 'string',
+                    description: 'Chart title'
+                },
+                sources: {
+                    type: 'array',
+                    description: 'Documents the data comes from',
+                    items: { type: 'object' }
+                }
+            },
+            required: ['chartType', 'data']
+        };
     }
 
     async _call(input) {
         try {
-            const { chartType, data, title = 'Chart' } = typeof input === 'string' ? JSON.parse(input) : input;
+            const { chartType, data, title = 'Chart', sources = [] } = typeof input === 'string' ? JSON.parse(input) : input;
             
             // Generate mock Chart.js configuration
             const chartConfig = this.generateChartConfig(chartType, data, title);
@@ -37,6 +42,7 @@ class ChartTool extends Tool {
             return {
                 success: true,
                 chartConfig: chartConfig,
+                sources: sources,
                 message: `Generated ${chartType} chart configuration successfully`
             };
         } catch (error) {
@@ -98,34 +104,6 @@ class ChartTool extends Tool {
 
         return colors[chartType] || colors.bar;
     }
-
-    // Mock method to generate sample data
-    generateSampleData(chartType) {
-        const sampleData = {
-            bar: {
-                labels: ['January', 'February', 'March', 'April', 'May'],
-                values: [65, 59, 80, 81, 56],
-                label: 'Sales Data'
-            },
-            line: {
-                labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May'],
-                values: [12, 19, 3, 5, 2],
-                label: 'Trend Data'
-            },
-            pie: {
-                labels: ['Red', 'Blue', 'Yellow', 'Green', 'Purple'],
-                values: [12, 19, 3, 5, 2],
-                label: 'Distribution'
-            },
-            doughnut: {
-                labels: ['Red', 'Blue', 'Yellow', 'Green'],
-                values: [12, 19, 3, 5],
-                label: 'Categories'
-            }
-        };
-
-        return sampleData[chartType] || sampleData.bar;
-    }
 }
 
 module.exports = ChartTool; 
\ No newline at end of file
@@ -0,0 +1,199 @@
+const path = require('path');
+const { isStructuredTool } = require('@langchain/core/tools');
+const { toJsonSchema, Validator } = require('@langchain/core/utils/json_schema');
+const { ValidationError } = require('../database/errors');
+const ChartTool = require('./chart-tool');
+const { ChartDataExtractor } = require('./chart-data-extractor');
+require('dotenv').config();
+
+// Names the router uses for the agents; tools cannot take them
+const RESERVED_NAMES = ['RAG', 'Direct'];
+const TOOL_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const CHART_TYPES = ['bar', 'line', 'pie', 'doughnut'];
+
+function chartTool() {
+    const tool = new ChartTool();
+    return {
+        name: 'Chart',
+        tool,
+        description: `Builds a chart (${CHART_TYPES.join(', ')}) the user asks for`,
+        arguments: {
+            type: 'object',
+            properties: {
+                chartType: { type: 'string', enum: CHART_TYPES, description: 'Type of chart, default bar' }
+            }
+        },
+        // Whole words only, so "online sales" is not a line chart
+        keywords: /\b(chart|graph|visuali[sz]e|plot|pie|doughnut|donut|histogram)\b/,
+        keywordArguments: query => {
+            const text = query.toLowerCase();
+            if (/\bpie\b/.test(text)) return { chartType: 'pie' };
+            if (/\b(doughnut|donut)\b/.test(text)) return { chartType: 'doughnut' };
+            if (/\bline (chart|graph|plot)\b|\b(trend|trends|over time)\b/.test(text)) return { chartType: 'line' };
+            return { chartType: 'bar' };
+        },
+        // Data comes from the question or the retrieved documents; without
+        // numbers there is no chart
+        usesDocuments: true,
+        prepareInput: async (query, args, { llm, sources } = {}) => {
+            const series = await new ChartDataExtractor(llm).extract(query, sources);
+            if (!series) {
+                return null;
+            }
+            return {
+                chartType: args.chartType || 'bar',
+                data: { labels: series.labels, values: series.values, label: series.label || 'Data' },
+                title: `Chart for: ${query}`,
+                sources: series.sources
+            };
+        },
+        responseFields: ['chartConfig', 'chartSources'],
+        toResponse: result => (result.success ? { chartConfig: result.chartConfig, chartSources: result.sources } : null),
+        noOutputMessage: 'No chart was created because neither the question nor the retrieved documents contain numbers to plot.'
+    };
+}
+
+// Tools the delegating agent can call besides the RAG agent and direct
+// answers. A definition is
+//   { name (used for routing and toolsUsed), tool (a LangChain Tool),
+//     description (for the router, default tool.description),
+//     arguments (JSON schema the router fills in, default the tool's input schema),
+//     prepareInput(query, args, context) (tool input, default args; may be
+//       async, null skips the tool; context is { tenant, llm, sources } with
+//       sources the retrieved documents as { fileId, collection, title, text }),
+//     usesDocuments (retrieve documents for the tool even without RAG),
+//     keywords (RegExp for offline routing), keywordArguments(query),
+//     responseFields (response fields taken from the output object, default
+//       toolResults[name] for the whole output),
+//     toResponse(result) (output, default the result),
+//     noOutputMessage (added to the answer when the tool has no output) }
+// Inputs are validated against the tool's schema before it runs. Chart is
+// built in; more can be registered in code or listed as modules in
+// TOOL_MODULES.
+class ToolRegistry {
+    constructor(definitions = [chartTool()]) {
+        this.tools = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    register(definition) {
+        const { name, tool } = definition || {};
+        if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name) || RESERVED_NAMES.includes(name)) {
+            throw new ValidationError(`Invalid tool name "${name}": use letters, digits, "-" or "_", and not ${RESERVED_NAMES.join(' or ')}`);
+        }
+        if (this.tools.has(name)) {
+            throw new ValidationError(`Tool "${name}" is already registered`);
+        }
+        // Duck-typed, tool modules may bring their own copy of @langchain/core
+        if (!isStructuredTool(tool)) {
+            throw new ValidationError(`Tool "${name}" must be a LangChain Tool`);
+        }
+
+        const inputSchema = toJsonSchema(tool.schema);
+        const entry = {
+            description: tool.description,
+            arguments: inputSchema,
+            prepareInput: (query, args) => args,
+            toResponse: result => result,
+            ...definition,
+            inputSchema
+        };
+        if (!entry.description) {
+            throw new ValidationError(`Tool "${name}" needs a description`);
+        }
+        entry.argumentValidator = new Validator(entry.arguments);
+        entry.inputValidator = new Validator(inputSchema);
+        this.tools.set(name, entry);
+        return entry;
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get(name) {
+        const entry = this.tools.get(name);
+        if (!entry) {
+            throw new ValidationError(`Unknown tool "${name}". Use one of: ${this.names().join(', ')}`);
+        }
+        return entry;
+    }
+
+    list() {
+        return [...this.tools.values()];
+    }
+
+    names() {
+        return [...this.tools.keys()];
+    }
+
+    // Tools a tenant may use, given its disabledTools setting
+    enabled(disabledTools = []) {
+        return this.list().filter(entry => !disabledTools.includes(entry.name));
+    }
+
+    assertKnown(names) {
+        const unknown = names.filter(name => !this.tools.has(name));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown tools: ${unknown.join(', ')}. Use one of: ${this.names().join(', ')}`);
+        }
+    }
+
+    // Runs a tool for a query; returns the output for the response, null
+    // when there was nothing for the tool to work on
+    async run(name, query, args = {}, context = {}) {
+        const entry = this.get(name);
+        const input = await entry.prepareInput(query, args, context);
+        if (input === null) {
+            return null;
+        }
+        const { valid, errors } = entry.inputValidator.validate(input);
+        if (!valid) {
+            throw new ValidationError(`Invalid input for ${name}: ${errors.map(error => error.error).join(' ')}`);
+        }
+        return entry.toResponse(await entry.tool.invoke(input));
+    }
+
+    // Response fields for tool outputs { name: output }: tools with
+    // responseFields get their own fields (null when they have no output),
+    // the others are collected in toolResults
+    toResponseFields(outputs = {}) {
+        const fields = { toolResults: {} };
+        for (const entry of this.list()) {
+            if (entry.responseFields) {
+                const output = outputs[entry.name];
+                entry.responseFields.forEach(field => {
+                    fields[field] = output && output[field] !== undefined ? output[field] : null;
+                });
+            } else if (outputs[entry.name] !== undefined) {
+                fields.toolResults[entry.name] = outputs[entry.name];
+            }
+        }
+        return fields;
+    }
+}
+
+// The built-in tools plus those exported by the modules in TOOL_MODULES
+// (comma-separated paths, relative to the working directory); a module
+// exports one definition or an array of them
+function loadTools(env = process.env) {
+    const registry = new ToolRegistry();
+    const modules = (env.TOOL_MODULES || '').split(',').map(item => item.trim()).filter(Boolean);
+    for (const modulePath of modules) {
+        let definitions;
+        try {
+            definitions = require(path.resolve(modulePath));
+        } catch (error) {
+            throw new Error(`Cannot load tool module ${modulePath}: ${error.message}`);
+        }
+        [].concat(definitions).forEach(definition => registry.register(definition));
+    }
+    return registry;
+}
+
+module.exports = {
+    ToolRegistry,
+    loadTools,
+    chartTool,
+    RESERVED_NAMES
+};
@@ -0,0 +1,50 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rejects with a timeout error if the promise has not settled within `ms`.
+// The underlying operation is not cancelled.
+function withTimeout(promise, ms, message = `Timed out after ${ms}ms`) {
+    if (!ms) {
+        return promise;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+            error.code = 'ETIMEDOUT';
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Calls fn until it succeeds, at most 1 + `retries` times, waiting
+// delayMs, 2 * delayMs, 4 * delayMs ... (capped at maxDelayMs) in between.
+// Errors for which shouldRetry returns false are thrown right away.
+async function retry(fn, options = {}) {
+    const {
+        retries = 3,
+        delayMs = 500,
+        maxDelayMs = 10000,
+        shouldRetry = () => true,
+        onRetry = () => {}
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = Math.min(delayMs * 2 ** attempt, maxDelayMs);
+            onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    retry,
+    withTimeout
+};
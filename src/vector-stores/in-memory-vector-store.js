@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const VectorStore = require('./vector-store');
+const { buildWhereFilter } = require('../database/filters');
+const { DatabaseError } = require('../database/errors');
+const { DEFAULT_COLLECTION } = require('../database/collections');
+const { cosineSimilarity } = require('../utils/vectors');
+
+const FILE_FORMAT_VERSION = 1;
+// Hybrid search fuses the best results of each search, like Weaviate does
+const HYBRID_CANDIDATES = 100;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Keeps everything in process memory with exact (brute force) search, for
+// development, tests and running without Weaviate. Given a file path the
+// data is loaded on connect and saved after every change.
+class InMemoryVectorStore extends VectorStore {
+    constructor(options = {}) {
+        super('memory');
+        this.filePath = options.filePath || null;
+        // Tenant name -> { activityStatus, objects: Map(id -> { id, collection, properties, vector }) };
+        // objects saved before collections existed have no collection and belong to QADocument
+        this.tenants = new Map();
+    }
+
+    async connect() {
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            this.load();
+            console.log(`✅ In-memory vector store loaded from ${this.filePath}`);
+        } else {
+            console.log(`✅ In-memory vector store ready${this.filePath ? ` (persisting to ${this.filePath})` : ''}`);
+        }
+        return true;
+    }
+
+    load() {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (data.version !== FILE_FORMAT_VERSION) {
+            throw new DatabaseError(`Unsupported vector store file version ${data.version} in ${this.filePath}`);
+        }
+
+        this.tenants = new Map(Object.entries(data.tenants).map(([name, tenant]) => [name, {
+            activityStatus: tenant.activityStatus,
+            objects: new Map(tenant.objects.map(object => [object.id, object]))
+        }]));
+    }
+
+    // Written to a temporary file first so a crash never leaves a truncated store
+    save() {
+        if (!this.filePath) {
+            return;
+        }
+
+        const data = { version: FILE_FORMAT_VERSION, tenants: {} };
+        for (const [name, tenant] of this.tenants) {
+            data.tenants[name] = {
+                activityStatus: tenant.activityStatus,
+                objects: [...tenant.objects.values()]
+            };
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(data));
+        fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    }
+
+    async listTenants() {
+        return [...this.tenants].map(([name, tenant]) => ({ name, activityStatus: tenant.activityStatus }));
+    }
+
+    async createTenants(names) {
+        for (const name of names) {
+            if (!this.tenants.has(name)) {
+                this.tenants.set(name, { activityStatus: 'HOT', objects: new Map() });
+            }
+        }
+        this.save();
+    }
+
+    async setTenantStatus(name, activityStatus) {
+        this.getTenant(name, { active: false }).activityStatus = activityStatus;
+        this.save();
+    }
+
+    async deleteTenant(name) {
+        this.getTenant(name, { active: false });
+        this.tenants.delete(name);
+        this.save();
+    }
+
+    // Like Weaviate, a deactivated tenant's data cannot be read or written
+    getTenant(name, options = { active: true }) {
+        const tenant = this.tenants.get(name);
+        if (!tenant) {
+            throw new DatabaseError(`Tenant "${name}" does not exist`);
+        }
+        if (options.active && tenant.activityStatus !== 'HOT') {
+            throw new DatabaseError(`Tenant "${name}" is not active`);
+        }
+        return tenant;
+    }
+
+    async insert(tenant, objects, options = {}) {
+        const { objects: stored } = this.getTenant(tenant);
+        const collection = options.collection || DEFAULT_COLLECTION;
+
+        const errors = objects.map(object => {
+            if (!Array.isArray(object.vector) || object.vector.length === 0) {
+                return 'object has no vector';
+            }
+            const id = object.id || crypto.randomUUID();
+            stored.set(id, { id, collection, properties: { ...object.properties }, vector: object.vector });
+            return null;
+        });
+
+        this.save();
+        return errors;
+    }
+
+    async search(tenant, options) {
+        const { mode, vector, query, alpha = 0.5, properties, filters, limit, collection, vectors } = options;
+        const objects = this.matching(tenant, filters, collection);
+
+        if (mode === 'keyword') {
+            return this.keywordScores(objects, query, properties)
+                .slice(0, limit)
+                .map(({ object, score }) => this.toHit(object, { score, matchedBy: ['keyword'] }, vectors));
+        }
+
+        if (mode === 'hybrid') {
+            return this.hybridScores(objects, vector, query, properties, alpha)
+                .slice(0, limit)
+                .map(({ object, score, matchedBy }) => this.toHit(object, {
+                    score,
+                    matchedBy,
+                    similarity: cosineSimilarity(vector, object.vector)
+                }, vectors));
+        }
+
+        return this.vectorScores(objects, vector)
+            .slice(0, limit)
+            .map(({ object, similarity }) => {
+                // Same definitions as Weaviate's cosine distance and certainty
+                const distance = 1 - similarity;
+                const certainty = 1 - distance / 2;
+                return this.toHit(object, { score: certainty, matchedBy: ['vector'], distance, certainty, similarity }, vectors);
+            });
+    }
+
+    async fetch(tenant, options = {}) {
+        return this.matching(tenant, options.filters, options.collection)
+            .slice(0, options.limit)
+            .map(object => ({
+                id: object.id,
+                properties: { ...object.properties },
+                ...(options.vectors ? { vector: object.vector } : {})
+            }));
+    }
+
+    async scan(tenant, options = {}) {
+        return this.matching(tenant, null, options.collection)
+            .filter(object => !options.after || object.id > options.after)
+            .sort((a, b) => (a.id < b.id ? -1 : 1))
+            .slice(0, options.limit || 100)
+            .map(object => ({ id: object.id, properties: { ...object.properties }, vector: object.vector }));
+    }
+
+    async merge(tenant, id, properties, options = {}) {
+        const object = this.getTenant(tenant).objects.get(id);
+        if (!object) {
+            throw new DatabaseError(`Object ${id} does not exist in tenant "${tenant}"`);
+        }
+        object.properties = { ...object.properties, ...properties };
+        this.save();
+    }
+
+    async remove(tenant, ids, options = {}) {
+        const { objects } = this.getTenant(tenant);
+        ids.forEach(id => objects.delete(id));
+        this.save();
+    }
+
+    async delete(tenant, filters, options = {}) {
+        const { objects } = this.getTenant(tenant);
+        const matches = this.matching(tenant, filters, options.collection);
+
+        if (!options.dryRun) {
+            matches.forEach(object => objects.delete(object.id));
+            this.save();
+        }
+        return { matches: matches.length, deleted: options.dryRun ? 0 : matches.length };
+    }
+
+    matching(tenant, filters, collection = DEFAULT_COLLECTION) {
+        const where = filters ? buildWhereFilter(filters) : null;
+        return [...this.getTenant(tenant).objects.values()]
+            .filter(object => (object.collection || DEFAULT_COLLECTION) === collection)
+            .filter(object => !where || this.matchesWhere(object.properties, where));
+    }
+
+    // Evaluates the Weaviate `where` clause built by ../database/filters.js,
+    // so both stores accept exactly the same filters
+    matchesWhere(properties, where) {
+        if (where.operator === 'And') {
+            return where.operands.every(operand => this.matchesWhere(properties, operand));
+        }
+        if (where.operator === 'Or') {
+            return where.operands.some(operand => this.matchesWhere(properties, operand));
+        }
+
+        const actual = properties[where.path[0]];
+        const valueKey = Object.keys(where).find(key => key.startsWith('value'));
+        const expected = where[valueKey];
+        if (actual === undefined || actual === null) {
+            return false;
+        }
+
+        const values = Array.isArray(actual) ? actual : [actual];
+        const comparable = (value) => valueKey.startsWith('valueDate') ? new Date(value).getTime() : value;
+
+        switch (where.operator) {
+            case 'Equal':
+                return values.some(value => comparable(value) === comparable(expected));
+            case 'ContainsAny':
+                return expected.some(item => values.includes(item));
+            case 'ContainsAll':
+                return expected.every(item => values.includes(item));
+            case 'GreaterThan':
+                return comparable(actual) > comparable(expected);
+            case 'GreaterThanEqual':
+                return comparable(actual) >= comparable(expected);
+            case 'LessThan':
+                return comparable(actual) < comparable(expected);
+            case 'LessThanEqual':
+                return comparable(actual) <= comparable(expected);
+            default:
+                throw new DatabaseError(`Unsupported filter operator "${where.operator}"`);
+        }
+    }
+
+    vectorScores(objects, vector) {
+        return objects
+            .map(object => ({ object, similarity: cosineSimilarity(vector, object.vector) }))
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    // BM25 over the given properties; documents without any query term are left out
+    keywordScores(objects, query, properties) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        const documents = objects.map(object => this.tokenize(
+            properties.map(property => object.properties[property] || '').join(' ')
+        ));
+        const averageLength = documents.reduce((sum, terms) => sum + terms.length, 0) / (documents.length || 1);
+
+        const idf = new Map(queryTerms.map(term => {
+            const frequency = documents.filter(terms => terms.includes(term)).length;
+            return [term, Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5))];
+        }));
+
+        return objects
+            .map((object, index) => {
+                const terms = documents[index];
+                const score = queryTerms.reduce((sum, term) => {
+                    const count = terms.filter(t => t === term).length;
+                    if (count === 0) return sum;
+                    const norm = BM25_K1 * (1 - BM25_B + BM25_B * terms.length / (averageLength || 1));
+                    return sum + idf.get(term) * (count * (BM25_K1 + 1)) / (count + norm);
+                }, 0);
+                return { object, score };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Relative score fusion: each result set is scaled to 0-1, then the
+    // scores are blended with alpha (1 = vector only, 0 = keyword only)
+    hybridScores(objects, vector, query, properties, alpha) {
+        const normalize = (results, key) => {
+            const scores = results.map(result => result[key]);
+            const min = Math.min(...scores);
+            const max = Math.max(...scores);
+            return new Map(results.map(result => [
+                result.object.id,
+                max > min ? (result[key] - min) / (max - min) : 1
+            ]));
+        };
+
+        const vectorResults = normalize(this.vectorScores(objects, vector).slice(0, HYBRID_CANDIDATES), 'similarity');
+        const keywordResults = normalize(this.keywordScores(objects, query, properties).slice(0, HYBRID_CANDIDATES), 'score');
+
+        return objects
+            .filter(object => vectorResults.has(object.id) || keywordResults.has(object.id))
+            .map(object => ({
+                object,
+                score: alpha * (vectorResults.get(object.id) || 0) + (1 - alpha) * (keywordResults.get(object.id) || 0),
+                matchedBy: [
+                    ...(keywordResults.has(object.id) ? ['keyword'] : []),
+                    ...(vectorResults.has(object.id) ? ['vector'] : [])
+                ]
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    toHit(object, match, withVector) {
+        return {
+            id: object.id,
+            properties: { ...object.properties },
+            score: match.score,
+            matchedBy: match.matchedBy,
+            distance: match.distance !== undefined ? match.distance : null,
+            certainty: match.certainty !== undefined ? match.certainty : null,
+            similarity: match.similarity !== undefined ? match.similarity : null,
+            ...(withVector ? { vector: object.vector } : {})
+        };
+    }
+
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 0);
+    }
+}
+
+module.exports = InMemoryVectorStore;
@@ -0,0 +1,25 @@
+const VectorStore = require('./vector-store');
+const WeaviateVectorStore = require('./weaviate-vector-store');
+const InMemoryVectorStore = require('./in-memory-vector-store');
+
+const stores = {
+    weaviate: WeaviateVectorStore,
+    memory: InMemoryVectorStore
+};
+
+// Builds the vector store named by VECTOR_STORE (default: weaviate).
+// VECTOR_STORE_PATH makes the in-memory store persist to a JSON file.
+function createVectorStore(type = process.env.VECTOR_STORE || 'weaviate', options = {}) {
+    const Store = stores[type];
+    if (!Store) {
+        throw new Error(`Unknown vector store "${type}". Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    return new Store({ filePath: process.env.VECTOR_STORE_PATH, ...options });
+}
+
+module.exports = {
+    createVectorStore,
+    VectorStore,
+    WeaviateVectorStore,
+    InMemoryVectorStore
+};
@@ -0,0 +1,96 @@
+// Storage backend for documents. WeaviateSetup handles validation,
+// embeddings and tenant checks; a store only keeps objects and vectors,
+// isolated per tenant and grouped in collections (see
+// ../database/collections). Tenants span every collection. Data methods
+// take options.collection, defaulting to QADocument.
+//
+// Objects are { id, properties, vector }. Filters use the syntax of
+// ../database/filters.js. Search hits are
+// { id, properties, score, distance, certainty, similarity, matchedBy };
+// similarity is the cosine similarity of query and document vectors, or
+// null when no vector was searched (keyword mode).
+class VectorStore {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Opens the connection; throws if the backend is unreachable
+    async connect() {
+        throw new Error(`${this.name} store does not implement connect()`);
+    }
+
+    // Creates or upgrades whatever schema the backend needs, given the
+    // Weaviate class definitions of the registered collections
+    async ensureSchema(collections = []) {}
+
+    // False while the backend is unreachable
+    isAvailable() {
+        return true;
+    }
+
+    // Stops background work such as reconnection attempts
+    close() {}
+
+    // [{ name, activityStatus: 'HOT' | 'COLD' }]
+    async listTenants() {
+        throw new Error(`${this.name} store does not implement listTenants()`);
+    }
+
+    async createTenants(names) {
+        throw new Error(`${this.name} store does not implement createTenants()`);
+    }
+
+    async setTenantStatus(name, activityStatus) {
+        throw new Error(`${this.name} store does not implement setTenantStatus()`);
+    }
+
+    async deleteTenant(name) {
+        throw new Error(`${this.name} store does not implement deleteTenant()`);
+    }
+
+    // Writes objects, replacing any with the same id. Returns one error
+    // message (or null on success) per object.
+    async insert(tenant, objects, options = {}) {
+        throw new Error(`${this.name} store does not implement insert()`);
+    }
+
+    // options: { mode: 'vector' | 'keyword' | 'hybrid', vector, query, alpha,
+    //            properties (searched by keyword), filters, limit, collection,
+    //            vectors (also return each hit's stored vector) }
+    async search(tenant, options) {
+        throw new Error(`${this.name} store does not implement search()`);
+    }
+
+    // Objects matching the filters, with their vectors only if options.vectors
+    async fetch(tenant, options = {}) {
+        throw new Error(`${this.name} store does not implement fetch()`);
+    }
+
+    // Pages through every object of a tenant, vectors included, in id order.
+    // Pass the id of the last object seen as `after` to get the next page.
+    async scan(tenant, options = {}) {
+        throw new Error(`${this.name} store does not implement scan()`);
+    }
+
+    async fetchByIds(tenant, fileIds, options = {}) {
+        return this.fetch(tenant, { ...options, filters: { fileId: fileIds } });
+    }
+
+    // Updates some properties of an object, keeping its vector
+    async merge(tenant, id, properties, options = {}) {
+        throw new Error(`${this.name} store does not implement merge()`);
+    }
+
+    // Deletes the objects with the given store ids
+    async remove(tenant, ids, options = {}) {
+        throw new Error(`${this.name} store does not implement remove()`);
+    }
+
+    // Deletes objects matching the filters. Returns { matches, deleted };
+    // with dryRun nothing is removed.
+    async delete(tenant, filters, options = {}) {
+        throw new Error(`${this.name} store does not implement delete()`);
+    }
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const weaviate = require('weaviate-ts-client');
+const VectorStore = require('./vector-store');
+const Migrator = require('../database/migrator');
+const { buildWhereFilter } = require('../database/filters');
+const { DatabaseError, StoreUnavailableError } = require('../database/errors');
+const { cosineSimilarity } = require('../utils/vectors');
+const { COMMON_PROPERTIES } = require('../database/collections');
+const { loadWeaviateConfig } = require('../config/weaviate-config');
+const { retry, withTimeout } = require('../utils/retry');
+
+const COMMON_FIELDS = COMMON_PROPERTIES.map(property => property.name).join(' ');
+// Weaviate's default QUERY_MAXIMUM_RESULTS
+const MAX_QUERY_RESULTS = 10000;
+const TRANSIENT_CODES = ['ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+// Network failures, timeouts and overloaded or restarting servers are worth
+// retrying; anything else (bad query, unknown tenant) would fail again
+function isTransientError(error) {
+    const code = error.code || (error.cause && error.cause.code);
+    return TRANSIENT_CODES.includes(code) ||
+        /fetch failed|socket hang up|timed out|\((429|502|503|504)\)/i.test(error.message || '');
+}
+
+// One multi-tenant Weaviate class per collection; every tenant is its own
+// shard and exists in every class.
+// Connection settings come from ../config/weaviate-config.js. Requests time
+// out and are retried with exponential backoff on transient errors; once
+// retries are exhausted the store is marked unavailable, requests fail fast
+// with a 503 and the connection is re-established in the background.
+class WeaviateVectorStore extends VectorStore {
+    constructor(options = {}) {
+        super('weaviate');
+        this.className = options.className || 'QADocument';
+        // Class name -> GraphQL fields of its properties, set by ensureSchema
+        this.fields = new Map([[this.className, `${COMMON_FIELDS} question answer`]]);
+        this.config = { ...loadWeaviateConfig(), ...options.config };
+        this.client = null;
+        this.available = false;
+        this.reconnectTimer = null;
+    }
+
+    get url() {
+        return `${this.config.scheme}://${this.config.host}`;
+    }
+
+    createClient() {
+        return weaviate.default.client({
+            scheme: this.config.scheme,
+            host: this.config.host,
+            ...(this.config.apiKey ? { apiKey: new weaviate.ApiKey(this.config.apiKey) } : {})
+        });
+    }
+
+    async ping() {
+        await withTimeout(
+            this.client.misc.metaGetter().do(),
+            this.config.timeoutMs,
+            `Weaviate at ${this.url} did not answer within ${this.config.timeoutMs}ms`
+        );
+    }
+
+    async connect() {
+        console.log(`🔌 Connecting to Weaviate at ${this.url}...`);
+        this.client = this.createClient();
+
+        try {
+            await retry(() => this.ping(), {
+                retries: this.config.connectRetries,
+                delayMs: this.config.retryDelayMs,
+                maxDelayMs: this.config.maxRetryDelayMs,
+                onRetry: (error, attempt, delay) => console.warn(
+                    `⚠️ Weaviate connection failed (${error.message}), retry ${attempt}/${this.config.connectRetries} in ${delay}ms`
+                )
+            });
+        } catch (error) {
+            throw new StoreUnavailableError(`Weaviate at ${this.url} is unreachable: ${error.message}`);
+        }
+
+        this.available = true;
+        console.log('✅ Weaviate client initialized successfully');
+        return true;
+    }
+
+    isAvailable() {
+        return this.available;
+    }
+
+    close() {
+        clearInterval(this.reconnectTimer);
+        this.reconnectTimer = null;
+    }
+
+    // Runs fn(client) with the request timeout, retrying transient errors
+    async request(fn) {
+        if (!this.available) {
+            throw new StoreUnavailableError(`Weaviate at ${this.url} is unavailable, reconnecting`);
+        }
+
+        try {
+            return await retry(() => withTimeout(fn(this.client), this.config.timeoutMs), {
+                retries: this.config.queryRetries,
+                delayMs: this.config.retryDelayMs,
+                maxDelayMs: this.config.maxRetryDelayMs,
+                shouldRetry: isTransientError,
+                onRetry: (error, attempt, delay) => console.warn(
+                    `⚠️ Weaviate request failed (${error.message}), retry ${attempt}/${this.config.queryRetries} in ${delay}ms`
+                )
+            });
+        } catch (error) {
+            if (!isTransientError(error)) {
+                throw error;
+            }
+            this.markUnavailable(error);
+            throw new StoreUnavailableError(`Weaviate at ${this.url} is unavailable: ${error.message}`);
+        }
+    }
+
+    markUnavailable(error) {
+        this.available = false;
+        if (this.reconnectTimer) {
+            return;
+        }
+
+        console.error(`❌ Lost connection to Weaviate (${error.message}); reconnecting every ${this.config.reconnectIntervalMs}ms`);
+        this.reconnectTimer = setInterval(async () => {
+            try {
+                this.client = this.createClient();
+                await this.ping();
+                this.available = true;
+                this.close();
+                console.log('✅ Reconnected to Weaviate');
+            } catch (reconnectError) {
+                console.warn(`⚠️ Weaviate still unreachable: ${reconnectError.message}`);
+            }
+        }, this.config.reconnectIntervalMs);
+        // Reconnection attempts alone must not keep the process alive
+        this.reconnectTimer.unref();
+    }
+
+    // Applies pending schema migrations (see ../database/migrations), which
+    // manage the QADocument class, then creates or extends the classes of the
+    // other registered collections and gives them the existing tenants
+    async ensureSchema(collections = []) {
+        const migrator = new Migrator(this.client);
+        const applied = await migrator.up();
+        if (applied.length > 0) {
+            console.log(`✅ Schema migrated (${applied.map(m => m.version).join(', ')})`);
+        } else {
+            console.log('✅ Schema is up to date');
+        }
+
+        const tenants = await this.listTenants();
+        for (const definition of collections) {
+            if (definition.class !== this.className) {
+                await migrator.context.createOrExtendClass(definition);
+
+                const existing = new Set(((await migrator.context.listTenants(definition.class)) || []).map(tenant => tenant.name));
+                const missing = tenants.filter(tenant => !existing.has(tenant.name));
+                if (missing.length > 0) {
+                    await this.client.schema.tenantsCreator(definition.class, missing).do();
+                }
+            }
+            this.fields.set(definition.class, definition.properties.map(property => property.name).join(' '));
+        }
+    }
+
+    classes() {
+        return [...this.fields.keys()];
+    }
+
+    fieldsOf(className) {
+        const fields = this.fields.get(className);
+        if (!fields) {
+            throw new DatabaseError(`Collection "${className}" has no Weaviate class`);
+        }
+        return fields;
+    }
+
+    async listTenants() {
+        const tenants = await this.request(client => client.schema.tenantsGetter(this.className).do());
+        return tenants.map(tenant => ({
+            name: tenant.name,
+            activityStatus: tenant.activityStatus || 'HOT'
+        }));
+    }
+
+    async createTenants(names) {
+        for (const className of this.classes()) {
+            await this.request(client => client.schema
+                .tenantsCreator(className, names.map(name => ({ name })))
+                .do());
+        }
+    }
+
+    async setTenantStatus(name, activityStatus) {
+        for (const className of this.classes()) {
+            await this.request(client => client.schema
+                .tenantsUpdater(className, [{ name, activityStatus }])
+                .do());
+        }
+    }
+
+    async deleteTenant(name) {
+        for (const className of this.classes()) {
+            await this.request(client => client.schema.tenantsDeleter(className, [name]).do());
+        }
+    }
+
+    async insert(tenant, objects, options = {}) {
+        if (objects.length === 0) {
+            return [];
+        }
+
+        // Ids are assigned here so a retried batch replaces, not duplicates, its objects
+        const batch = objects.map(object => ({
+            class: options.collection || this.className,
+            id: object.id || crypto.randomUUID(),
+            tenant: tenant,
+            properties: object.properties,
+            vector: object.vector
+        }));
+        const results = await this.request(client => client.batch
+            .objectsBatcher()
+            .withObjects(...batch)
+            .do());
+
+        // Results come back in request order
+        return objects.map((object, index) => {
+            const result = results && results[index] && results[index].result;
+            return result && result.errors
+                ? result.errors.error.map(error => error.message).join('; ')
+                : null;
+        });
+    }
+
+    async search(tenant, options) {
+        const { mode, vector, query, alpha, properties, filters, limit } = options;
+        const className = options.collection || this.className;
+        const fields = this.fieldsOf(className);
+        const where = filters ? buildWhereFilter(filters) : null;
+        const withVector = options.vectors ? ' vector' : '';
+
+        const result = await this.request(client => {
+            let builder = client.graphql
+                .get()
+                .withClassName(className)
+                .withTenant(tenant)
+                .withLimit(limit);
+
+            if (where) {
+                builder = builder.withWhere(where);
+            }
+
+            if (mode === 'keyword') {
+                builder = builder
+                    .withFields(`${fields} _additional { id score${withVector} }`)
+                    .withBm25({ query, properties });
+            } else if (mode === 'hybrid') {
+                builder = builder
+                    .withFields(`${fields} _additional { id score explainScore vector }`)
+                    .withHybrid({
+                        query,
+                        vector,
+                        alpha,
+                        properties,
+                        fusionType: weaviate.FusionType.relativeScoreFusion
+                    });
+            } else {
+                builder = builder
+                    .withFields(`${fields} _additional { id distance certainty${withVector} }`)
+                    .withNearVector({ vector });
+            }
+
+            return builder.do();
+        });
+
+        // Weaviate returns the best match first
+        return this.queryResults(result, className).map(doc => ({
+            ...this.toObject(doc),
+            ...this.describeMatch(mode, doc._additional || {}, vector),
+            ...(options.vectors ? { vector: doc._additional.vector } : {})
+        }));
+    }
+
+    // GraphQL reports a failed query in result.errors instead of throwing
+    queryResults(result, className) {
+        if (result.errors && result.errors.length > 0) {
+            throw new DatabaseError(`Query on ${className} failed: ${result.errors.map(error => error.message).join('; ')}`);
+        }
+        return (result.data && result.data.Get[className]) || [];
+    }
+
+    describeMatch(mode, additional, vector) {
+        if (mode === 'vector') {
+            return {
+                score: additional.certainty,
+                matchedBy: ['vector'],
+                distance: additional.distance,
+                certainty: additional.certainty,
+                similarity: additional.distance != null ? 1 - additional.distance : null
+            };
+        }
+
+        // BM25 and hybrid scores come back from GraphQL as strings
+        const score = additional.score != null ? parseFloat(additional.score) : null;
+
+        if (mode === 'keyword') {
+            return { score, matchedBy: ['keyword'], distance: null, certainty: null, similarity: null };
+        }
+
+        // explainScore lists one "(Result Set keyword...)" / "(Result Set vector...)"
+        // entry per search that returned the document
+        const explanation = additional.explainScore || '';
+        const matchedBy = ['keyword', 'vector'].filter(component =>
+            new RegExp(`Result Set ${component}`, 'i').test(explanation)
+        );
+
+        // Fused scores are relative to the result set, so the absolute cosine
+        // similarity is computed from the returned vector
+        const similarity = additional.vector ? cosineSimilarity(vector, additional.vector) : null;
+
+        return { score, matchedBy, distance: null, certainty: null, similarity };
+    }
+
+    async fetch(tenant, options = {}) {
+        const className = options.collection || this.className;
+        const fields = this.fieldsOf(className);
+        const where = options.filters ? buildWhereFilter(options.filters) : null;
+
+        const result = await this.request(client => {
+            let builder = client.graphql
+                .get()
+                .withClassName(className)
+                .withTenant(tenant)
+                .withFields(`${fields} _additional { id${options.vectors ? ' vector' : ''} }`)
+                .withLimit(options.limit || MAX_QUERY_RESULTS);
+
+            if (where) {
+                builder = builder.withWhere(where);
+            }
+            return builder.do();
+        });
+        return this.queryResults(result, className).map(doc => {
+            const object = this.toObject(doc);
+            return options.vectors ? { ...object, vector: doc._additional.vector } : object;
+        });
+    }
+
+    async scan(tenant, options = {}) {
+        const { objects = [] } = await this.request(client => {
+            let getter = client.data.getter()
+                .withClassName(options.collection || this.className)
+                .withTenant(tenant)
+                .withVector()
+                .withLimit(options.limit || 100);
+            if (options.after) {
+                getter = getter.withAfter(options.after);
+            }
+            return getter.do();
+        });
+        return objects.map(object => ({ id: object.id, properties: object.properties, vector: object.vector }));
+    }
+
+    async merge(tenant, id, properties, options = {}) {
+        await this.request(client => client.data.merger()
+            .withClassName(options.collection || this.className)
+            .withTenant(tenant)
+            .withId(id)
+            .withProperties(properties)
+            .do());
+    }
+
+    async remove(tenant, ids, options = {}) {
+        for (const id of ids) {
+            await this.request(client => client.data.deleter()
+                .withClassName(options.collection || this.className)
+                .withTenant(tenant)
+                .withId(id)
+                .do());
+        }
+    }
+
+    async delete(tenant, filters, options = {}) {
+        const where = buildWhereFilter(filters);
+        const response = await this.request(client => client.batch
+            .objectsBatchDeleter()
+            .withClassName(options.collection || this.className)
+            .withTenant(tenant)
+            .withWhere(where)
+            .withDryRun(Boolean(options.dryRun))
+            .do());
+
+        const { matches = 0, successful = 0, failed = 0 } = response.results || {};
+        if (failed > 0) {
+            throw new DatabaseError(`Failed to delete ${failed} of ${matches} matching object(s)`);
+        }
+        return { matches, deleted: successful };
+    }
+
+    // GraphQL returns null for unset properties; leave them out
+    toObject(doc) {
+        const properties = {};
+        for (const [key, value] of Object.entries(doc)) {
+            if (key !== '_additional' && value !== null) {
+                properties[key] = value;
+            }
+        }
+        return { id: doc._additional.id, properties };
+    }
+}
+
+module.exports = WeaviateVectorStore;
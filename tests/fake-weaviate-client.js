@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+// Records the with*() calls of a weaviate-ts-client builder and runs `run`
+// with them on do(), e.g. args.withClassName = ['QADocument']
+function builder(run) {
+    const args = {};
+    const proxy = new Proxy({}, {
+        get: (target, key) => {
+            if (key === 'do') {
+                return async () => run(args);
+            }
+            if (key === 'then') {
+                return undefined;
+            }
+            return (...values) => {
+                args[key] = values;
+                return proxy;
+            };
+        }
+    });
+    return proxy;
+}
+
+const first = (args, key) => (args[key] ? args[key][0] : undefined);
+
+// In-memory stand-in for the parts of the weaviate-ts-client API the
+// migrator and the Weaviate store use: classes, tenants, object paging,
+// batch writes and GraphQL Get. failWrite(object) makes single batch
+// objects fail; graphqlErrors makes every GraphQL query return errors.
+class FakeWeaviateClient {
+    constructor(options = {}) {
+        // Class name -> { definition, shards: Map(tenant or '' -> Map(id -> object)) }
+        this.classes = new Map();
+        this.failWrite = options.failWrite || (() => false);
+        this.graphqlErrors = options.graphqlErrors || null;
+
+        this.schema = {
+            exists: async className => this.classes.has(className),
+            classGetter: () => builder(args => this.getClass(first(args, 'withClassName')).definition),
+            classCreator: () => builder(args => this.addClass(first(args, 'withClass'))),
+            classDeleter: () => builder(args => {
+                this.classes.delete(first(args, 'withClassName'));
+            }),
+            propertyCreator: () => builder(args => {
+                this.getClass(first(args, 'withClassName')).definition.properties.push(first(args, 'withProperty'));
+            }),
+            tenantsGetter: className => builder(() => {
+                const cls = this.getClass(className);
+                if (!this.multiTenant(cls)) {
+                    throw new Error(`class ${className} has multi-tenancy disabled`);
+                }
+                return [...cls.shards.keys()].map(name => ({ name, activityStatus: 'HOT' }));
+            }),
+            tenantsCreator: (className, tenants) => builder(() => {
+                const cls = this.getClass(className);
+                tenants.forEach(tenant => {
+                    if (!cls.shards.has(tenant.name)) cls.shards.set(tenant.name, new Map());
+                });
+            })
+        };
+
+        this.data = {
+            getter: () => builder(args => {
+                const objects = [...this.shard(first(args, 'withClassName'), first(args, 'withTenant')).values()]
+                    .sort((a, b) => (a.id < b.id ? -1 : 1))
+                    .filter(object => !args.withAfter || object.id > first(args, 'withAfter'))
+                    .slice(0, first(args, 'withLimit') || 25);
+                return { objects: objects.map(object => ({ ...object, properties: { ...object.properties } })) };
+            }),
+            creator: () => builder(args => {
+                const id = crypto.randomUUID();
+                this.shard(first(args, 'withClassName'), undefined).set(id, { id, properties: first(args, 'withProperties') });
+            })
+        };
+
+        this.batch = {
+            objectsBatcher: () => builder(args => (args.withObjects || []).map(object => {
+                if (this.failWrite(object)) {
+                    return { result: { errors: { error: [{ message: `write of ${object.id} failed` }] } } };
+                }
+                const shard = this.shard(object.class, object.tenant);
+                shard.set(object.id, { id: object.id, properties: { ...object.properties }, vector: object.vector });
+                return { result: {} };
+            }))
+        };
+
+        this.graphql = {
+            get: () => builder(args => {
+                if (this.graphqlErrors) {
+                    return { errors: this.graphqlErrors, data: { Get: { [first(args, 'withClassName')]: null } } };
+                }
+                const className = first(args, 'withClassName');
+                const objects = [...this.shard(className, first(args, 'withTenant')).values()];
+                return {
+                    data: {
+                        Get: {
+                            [className]: objects.map(object => ({ ...object.properties, _additional: { id: object.id } }))
+                        }
+                    }
+                };
+            })
+        };
+    }
+
+    addClass(definition) {
+        if (this.classes.has(definition.class)) {
+            throw new Error(`class ${definition.class} already exists`);
+        }
+        this.classes.set(definition.class, {
+            definition: { ...definition, properties: [...(definition.properties || [])] },
+            shards: new Map()
+        });
+    }
+
+    getClass(className) {
+        const cls = this.classes.get(className);
+        if (!cls) {
+            throw new Error(`class ${className} not found`);
+        }
+        return cls;
+    }
+
+    multiTenant(cls) {
+        return Boolean(cls.definition.multiTenancyConfig && cls.definition.multiTenancyConfig.enabled);
+    }
+
+    // Objects of a tenant, or of a class without multi-tenancy
+    shard(className, tenant) {
+        const cls = this.getClass(className);
+        if (this.multiTenant(cls) !== Boolean(tenant)) {
+            throw new Error(tenant
+                ? `class ${className} has multi-tenancy disabled, but request was with tenant`
+                : `class ${className} has multi-tenancy enabled, but request was without tenant`);
+        }
+        const key = tenant || '';
+        if (!cls.shards.has(key)) {
+            if (tenant) throw new Error(`tenant not found: "${tenant}"`);
+            cls.shards.set(key, new Map());
+        }
+        return cls.shards.get(key);
+    }
+}
+
+module.exports = FakeWeaviateClient;